@@ -0,0 +1,513 @@
+#!/usr/bin/env node
+// Command-line client for the /api/v1 endpoints of a running server:
+//   ultra-downloader info <url>
+//   ultra-downloader download <url> [--video <itag>] [--audio <itag>]
+//   ultra-downloader batch <file>
+//   ultra-downloader list
+//   ultra-downloader cancel <jobId>...
+// Exit codes: 0 success, 1 request or job failed, 2 bad usage, 3 server
+// unreachable.
+const fs = require('fs');
+const axios = require('axios');
+const { STATES } = require('../lib/jobQueue');
+
+const EXIT = { OK: 0, FAILED: 1, USAGE: 2, UNREACHABLE: 3 };
+const FINAL_STATES = [STATES.DONE, STATES.FAILED, STATES.CANCELLED];
+const BATCH_POLL_MS = 2000;
+const BAR_WIDTH = 24;
+
+const USAGE = `Usage: ultra-downloader <command> [options]
+
+Commands:
+  info <url>                 Formats of a video, or the entries of a playlist
+    --playlist / --no-playlist  List a playlist's entries, or never do
+    --refresh                Skip the server's info cache
+  download <url>             Queue a download and follow its progress
+    --video <itag>           Video format (see "info")
+    --audio <itag>           Audio format to merge with a video-only format
+    --quality <rule>         Resolution cap when no --video is given (e.g. 720p)
+    --audio-only             Extract the audio instead
+    --codec <codec>          Audio codec of --audio-only (mp3, m4a, opus, ...)
+    --bitrate <kbps>         Audio bitrate of --audio-only
+    --start <time>           Keep from this time (e.g. 1:30)
+    --end <time>             Keep up to this time
+    --preset <name>          Post-processing preset, may be repeated
+    --force                  Download even if it is in the library already
+    --detach                 Print the job id and return without waiting
+  batch <file>               Queue every URL in <file> (one per line, "-" for stdin)
+    --quality <rule>         Resolution cap (default best)
+    --title <name>           Name of the batch
+    --preset <name>          Post-processing preset, may be repeated
+    --wait                   Wait until every job has finished
+  list                       Jobs in the queue
+    --batch <id>             Only the jobs of this batch
+    --state <state>          Only jobs in this state
+  cancel <jobId>...          Cancel queued or running jobs
+
+Options:
+  --server <url>             Server address (ULTRA_DOWNLOADER_SERVER, default http://localhost:3000)
+  --token <token>            API token (ULTRA_DOWNLOADER_TOKEN)
+  --json                     Print the API's JSON instead of text
+  --help                     Show this help
+`;
+
+const HELP_HINT = 'Run "ultra-downloader --help" for usage.';
+
+// Options that take a value; every other --option is a flag
+const VALUE_OPTIONS = ['server', 'token', 'video', 'audio', 'quality', 'codec', 'bitrate', 'start', 'end', 'preset', 'title', 'batch', 'state'];
+const REPEATED_OPTIONS = ['preset'];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+  const positional = [];
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--') {
+      positional.push(...argv.slice(i + 1));
+      break;
+    }
+    const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (!match) {
+      positional.push(arg);
+      continue;
+    }
+    let [, name, value] = match;
+    if (VALUE_OPTIONS.includes(name)) {
+      if (value === undefined) {
+        if (i + 1 >= argv.length) throw new UsageError(`--${name} needs a value`);
+        value = argv[++i];
+      }
+    } else if (value !== undefined) {
+      throw new UsageError(`--${name} does not take a value`);
+    } else if (name.startsWith('no-')) {
+      name = name.slice(3);
+      value = false;
+    } else {
+      value = true;
+    }
+    if (REPEATED_OPTIONS.includes(name)) {
+      options[name] = (options[name] || []).concat(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return { positional, options };
+}
+
+// =====================
+// HTTP
+// =====================
+class ApiError extends Error {
+  constructor(status, body) {
+    const error = (body && body.error) || {};
+    super(error.message || `Request failed with status ${status}`);
+    this.status = status;
+    this.code = error.code || null;
+    this.errors = error.errors || [];
+    this.toolMessage = error.toolMessage || null;
+  }
+}
+
+function createClient({ server, token }) {
+  const http = axios.create({
+    baseURL: `${server.replace(/\/+$/, '')}/api/v1`,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+    validateStatus: () => true
+  });
+
+  async function request(method, url, data, config = {}) {
+    const response = await http.request({ method, url, data, ...config });
+    if (response.status >= 400) {
+      const body = config.responseType === 'stream' ? await readJson(response.data) : response.data;
+      throw new ApiError(response.status, body);
+    }
+    return response.data;
+  }
+
+  // Error bodies of streamed requests arrive unread
+  function readJson(stream) {
+    return new Promise((resolve) => {
+      let text = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => { text += chunk; });
+      stream.on('end', () => {
+        try {
+          resolve(JSON.parse(text));
+        } catch (e) {
+          resolve(null);
+        }
+      });
+      stream.on('error', () => resolve(null));
+    });
+  }
+
+  // Calls onEvent with each progress event of a job until the server
+  // closes the stream, which it does once the job has finished
+  async function followJob(jobId, onEvent) {
+    const stream = await request('get', `/jobs/${encodeURIComponent(jobId)}/events`, undefined, { responseType: 'stream' });
+    return new Promise((resolve, reject) => {
+      let buffer = '';
+      stream.setEncoding('utf8');
+      stream.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const message = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const data = message.split('\n')
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trim())
+            .join('\n');
+          if (!data) continue;
+          try {
+            onEvent(JSON.parse(data));
+          } catch (e) {
+            // ignore events that aren't JSON
+          }
+        }
+      });
+      stream.on('end', resolve);
+      stream.on('error', reject);
+    });
+  }
+
+  return {
+    base: server.replace(/\/+$/, ''),
+    get: (url, params) => request('get', url, undefined, { params }),
+    post: (url, data) => request('post', url, data || {}),
+    followJob
+  };
+}
+
+// =====================
+// FORMATTING
+// =====================
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  const value = bytes / Math.pow(1024, exponent);
+  return `${value.toFixed(value >= 10 || exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+}
+
+function formatLength(seconds) {
+  seconds = Math.max(0, Math.round(seconds));
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  return h ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Same parts as the status line of the web UI
+function describeTransfer(stats) {
+  if (!stats) return '';
+  const parts = [];
+  if (typeof stats.processedSeconds === 'number') {
+    parts.push(stats.totalSeconds
+      ? `${formatLength(stats.processedSeconds)} of ${formatLength(stats.totalSeconds)}`
+      : formatLength(stats.processedSeconds));
+  }
+  if (stats.speedFactor) parts.push(`${stats.speedFactor.toFixed(1)}x`);
+  if (typeof stats.downloadedBytes === 'number') {
+    parts.push(stats.totalBytes
+      ? `${formatBytes(stats.downloadedBytes)} of ${formatBytes(stats.totalBytes)}`
+      : formatBytes(stats.downloadedBytes));
+  }
+  if (stats.speed) parts.push(`${formatBytes(stats.speed)}/s`);
+  if (typeof stats.eta === 'number') parts.push(`${formatLength(stats.eta)} left`);
+  if (stats.fragmentIndex && stats.fragmentCount) parts.push(`fragment ${stats.fragmentIndex}/${stats.fragmentCount}`);
+  return parts.join(' • ');
+}
+
+// Rows as space-padded columns under a header
+function table(header, rows) {
+  const widths = header.map((title, column) => Math.max(title.length, ...rows.map(row => String(row[column]).length)));
+  const line = (row) => row.map((cell, column) => String(cell).padEnd(widths[column])).join('  ').trimEnd();
+  return [line(header), ...rows.map(line)].join('\n');
+}
+
+// The results card of the web UI (displayVideoResults) as text
+function printVideoInfo(info) {
+  console.log(info.title);
+  console.log(`${info.uploader} • ${info.duration} • ${info.views} • ${info.date}`);
+  console.log('');
+  console.log(table(
+    ['ITAG', 'RESOLUTION', 'FORMAT', 'SIZE', 'AUDIO'],
+    (info.formats || []).map(format => [
+      format.itag,
+      format.resolution,
+      `${format.container} • ${format.codec}`,
+      format.sizeMB > 0 ? `${format.sizeMB} MB` : 'Unknown',
+      format.hasAudio ? 'yes' : 'no'
+    ])
+  ));
+
+  if ((info.audioFormats || []).length) {
+    console.log('');
+    console.log(table(
+      ['AUDIO ITAG', 'FORMAT'],
+      info.audioFormats.map(audio => [audio.itag, `${audio.container.toUpperCase()} • ${Math.round(audio.bitrate)}kbps`])
+    ));
+  }
+
+  if ((info.audioTargets || []).length) {
+    console.log('');
+    console.log('Audio only (--audio-only --codec <codec> --bitrate <kbps>):');
+    info.audioTargets.forEach(target => {
+      console.log(`  ${target.codec}: ${target.lossless ? 'lossless' : target.bitrates.join(', ') + ' kbps'}`);
+    });
+  }
+}
+
+function printPlaylistInfo(playlist) {
+  console.log(playlist.title);
+  console.log(`${playlist.uploader} • ${playlist.entryCount} videos • ${playlist.totalDuration}`);
+  console.log('');
+  console.log(table(
+    ['#', 'DURATION', 'TITLE', 'URL'],
+    (playlist.entries || []).map(entry => [entry.index, entry.duration, entry.title, entry.url])
+  ));
+}
+
+function printJobs(jobs) {
+  if (!jobs.length) {
+    console.log('No jobs');
+    return;
+  }
+  console.log(table(
+    ['ID', 'STATE', 'PROGRESS', 'TITLE'],
+    jobs.map(job => [job.id, job.state, `${Math.round(job.progress || 0)}%`, job.title || job.url])
+  ));
+}
+
+// Redraws one line on a terminal; elsewhere (pipes, cron logs) prints a
+// line only when the status text changes
+function createProgressBar(stream) {
+  let lastLine = '';
+  let drawn = false;
+  return {
+    update({ progress, status, stats }) {
+      const percent = Math.max(0, Math.min(100, progress || 0));
+      const details = [status, describeTransfer(stats)].filter(Boolean).join(' • ');
+      if (stream.isTTY) {
+        const filled = Math.round((percent / 100) * BAR_WIDTH);
+        const bar = `[${'#'.repeat(filled)}${'-'.repeat(BAR_WIDTH - filled)}] ${percent.toFixed(1).padStart(5)}% ${details}`
+          .slice(0, (stream.columns || 80) - 1);
+        stream.write(`\r${bar.padEnd(lastLine.length)}`);
+        lastLine = bar;
+        drawn = true;
+      } else if (status && status !== lastLine) {
+        stream.write(`${status}\n`);
+        lastLine = status;
+      }
+    },
+    done() {
+      if (drawn) stream.write('\n');
+      drawn = false;
+    }
+  };
+}
+
+// =====================
+// COMMANDS
+// =====================
+async function info(client, [url], options) {
+  if (!url) throw new UsageError('info needs a URL');
+  const body = { url };
+  if (typeof options.playlist === 'boolean') body.playlist = options.playlist;
+  if (options.refresh) body.refresh = true;
+
+  const result = await client.post('/info', body);
+  if (options.json) return console.log(JSON.stringify(result, null, 2));
+  if (result.type === 'playlist') printPlaylistInfo(result);
+  else printVideoInfo(result);
+  return EXIT.OK;
+}
+
+async function download(client, [url], options) {
+  if (!url) throw new UsageError('download needs a URL');
+  const body = { url };
+  if (options['audio-only']) {
+    body.mode = 'audio';
+    if (options.codec) body.audioCodec = options.codec;
+    if (options.bitrate) body.audioBitrate = Number(options.bitrate);
+  } else {
+    if (options.video) body.videoItag = options.video;
+    if (options.audio) body.audioItag = options.audio;
+    if (options.quality) body.quality = options.quality;
+  }
+  if (options.start) body.start = options.start;
+  if (options.end) body.end = options.end;
+  if (options.preset) body.postprocess = options.preset;
+  if (options.force) body.force = true;
+
+  const result = await client.post('/jobs', body);
+  if (result.entry) {
+    if (options.json) console.log(JSON.stringify(result, null, 2));
+    else console.log(`Already in the library: ${result.entry.file}\n${client.base}${result.entry.downloadUrl}`);
+    return EXIT.OK;
+  }
+
+  const jobId = result.job.id;
+  if (options.detach) {
+    console.log(options.json ? JSON.stringify(result, null, 2) : jobId);
+    return EXIT.OK;
+  }
+  if (!options.json) process.stderr.write(`${result.joined ? 'Joined' : 'Queued'} job ${jobId}\n`);
+
+  // The job keeps running on the server when the client stops
+  process.once('SIGINT', () => {
+    process.stderr.write(`\nStopped following job ${jobId}; it keeps running (ultra-downloader cancel ${jobId})\n`);
+    process.exit(130);
+  });
+
+  const bar = createProgressBar(process.stderr);
+  const state = { progress: 0, status: '', stats: null };
+  await client.followJob(jobId, (event) => {
+    Object.assign(state, event);
+    bar.update(state);
+  });
+  bar.done();
+
+  const job = await client.get(`/jobs/${encodeURIComponent(jobId)}`);
+  if (options.json) console.log(JSON.stringify(job, null, 2));
+  if (job.state === STATES.DONE) {
+    if (!options.json) console.log(`${job.file}\n${client.base}${job.downloadUrl}`);
+    return EXIT.OK;
+  }
+  if (!options.json) printError(job.error ? new ApiError(0, { error: job.error }) : new Error(`Job ${job.state}`));
+  return EXIT.FAILED;
+}
+
+function readUrls(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+  } catch (err) {
+    throw new UsageError(`Can't read ${file}: ${err.message}`);
+  }
+  return text.split('\n')
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+async function batch(client, [file], options) {
+  if (!file) throw new UsageError('batch needs a file of URLs');
+  const urls = readUrls(file);
+  if (!urls.length) throw new UsageError(`No URLs in ${file}`);
+
+  const body = { entries: urls.map((url, index) => ({ url, index: index + 1 })) };
+  if (options.quality) body.quality = options.quality;
+  if (options.title) body.title = options.title;
+  if (options.preset) body.postprocess = options.preset;
+
+  const result = await client.post('/jobs/batch', body);
+  if (!options.wait) {
+    if (options.json) console.log(JSON.stringify(result, null, 2));
+    else result.jobs.forEach(job => console.log(`${job.id}\t${job.url}`));
+    return EXIT.OK;
+  }
+
+  process.stderr.write(`Queued ${result.jobs.length} jobs in batch ${result.batchId}\n`);
+  const reported = new Set();
+  let jobs = result.jobs;
+  while (true) {
+    jobs.filter(job => FINAL_STATES.includes(job.state) && !reported.has(job.id)).forEach(job => {
+      reported.add(job.id);
+      if (options.json) return;
+      const outcome = job.state === STATES.DONE ? job.file : `${job.state}${job.error ? `: ${job.error.message}` : ''}`;
+      console.log(`${job.id}\t${job.url}\t${outcome}`);
+    });
+    if (reported.size === result.jobs.length) break;
+    await new Promise(resolve => setTimeout(resolve, BATCH_POLL_MS));
+    // Jobs cleared from the queue meanwhile count as finished
+    const { jobs: current } = await client.get('/jobs', { batch: result.batchId });
+    jobs = result.jobs.map(job => current.find(other => other.id === job.id) || { ...job, state: STATES.CANCELLED });
+  }
+
+  if (options.json) console.log(JSON.stringify({ batchId: result.batchId, jobs }, null, 2));
+  return jobs.every(job => job.state === STATES.DONE) ? EXIT.OK : EXIT.FAILED;
+}
+
+async function list(client, args, options) {
+  const { jobs } = await client.get('/jobs', options.batch ? { batch: options.batch } : undefined);
+  const shown = options.state ? jobs.filter(job => job.state === options.state) : jobs;
+  if (options.json) console.log(JSON.stringify(shown, null, 2));
+  else printJobs(shown);
+  return EXIT.OK;
+}
+
+async function cancel(client, jobIds, options) {
+  if (!jobIds.length) throw new UsageError('cancel needs at least one job id');
+  let status = EXIT.OK;
+  for (const jobId of jobIds) {
+    try {
+      const job = await client.post(`/jobs/${encodeURIComponent(jobId)}/cancel`);
+      console.log(options.json ? JSON.stringify(job) : `Cancelled ${jobId}`);
+    } catch (err) {
+      if (!(err instanceof ApiError)) throw err;
+      printError(err, jobId);
+      status = EXIT.FAILED;
+    }
+  }
+  return status;
+}
+
+const COMMANDS = { info, download, batch, list, cancel };
+
+function printError(err, prefix) {
+  const code = err.code ? ` (${err.code})` : '';
+  console.error(`Error: ${prefix ? `${prefix}: ` : ''}${err.message}${code}`);
+  (err.errors || []).slice(1).forEach(problem => console.error(`  ${problem.path} ${problem.message}`));
+  if (err.toolMessage && err.toolMessage !== err.message) console.error(`  ${err.toolMessage}`);
+}
+
+async function main(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs(argv);
+  } catch (err) {
+    console.error(`${err.message}\n${HELP_HINT}`);
+    return EXIT.USAGE;
+  }
+  const { positional: [command, ...args], options } = parsed;
+
+  if (options.help || !command) {
+    (options.help ? console.log : console.error)(USAGE);
+    return options.help ? EXIT.OK : EXIT.USAGE;
+  }
+  if (!COMMANDS[command]) {
+    console.error(`Unknown command: ${command}\n${HELP_HINT}`);
+    return EXIT.USAGE;
+  }
+
+  const client = createClient({
+    server: options.server || process.env.ULTRA_DOWNLOADER_SERVER || 'http://localhost:3000',
+    token: options.token || process.env.ULTRA_DOWNLOADER_TOKEN
+  });
+
+  try {
+    return (await COMMANDS[command](client, args, options)) || EXIT.OK;
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(`${err.message}\n${HELP_HINT}`);
+      return EXIT.USAGE;
+    }
+    if (err instanceof ApiError) {
+      printError(err);
+      return EXIT.FAILED;
+    }
+    if (['ECONNREFUSED', 'ENOTFOUND', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH'].includes(err.code)) {
+      console.error(`Error: can't reach ${client.base} (${err.code})`);
+      return EXIT.UNREACHABLE;
+    }
+    console.error(`Error: ${err.message}`);
+    return EXIT.FAILED;
+  }
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,102 @@
+const { accessProblem } = require('./cookies');
+
+// Machine-readable error codes of the /api/v1 endpoints and the HTTP status
+// each one is answered with. Errors are sent as
+// { "error": { "code", "message", ... } }.
+const ERROR_CODES = {
+  VALIDATION_FAILED: { status: 400, message: 'The request is not valid' },
+  UNSUPPORTED_URL: { status: 400, message: 'This URL is not supported' },
+  FORMAT_UNAVAILABLE: { status: 400, message: 'The requested format is not available for this video' },
+  MEDIA_TOO_LARGE: { status: 400, message: 'The video is over the size or duration limit' },
+  UNAUTHENTICATED: { status: 401, message: 'Authentication required' },
+  LOGIN_REQUIRED: { status: 403, message: 'This video needs a signed-in account' },
+  GEO_BLOCKED: { status: 403, message: 'This video is not available in the country the server is in' },
+  NOT_FOUND: { status: 404, message: 'Not found' },
+  VIDEO_UNAVAILABLE: { status: 404, message: 'This video is unavailable' },
+  INVALID_STATE: { status: 409, message: 'The job can\'t do that in its current state' },
+  RATE_LIMITED: { status: 429, message: 'Too many requests, please slow down' },
+  QUOTA_EXCEEDED: { status: 429, message: 'Daily limit reached' },
+  SERVER_BUSY: { status: 429, message: 'The server is busy, try again shortly' },
+  INTERNAL_ERROR: { status: 500, message: 'Something went wrong on the server' },
+  EXTRACTION_FAILED: { status: 502, message: 'yt-dlp could not get this video' },
+  DOWNLOAD_FAILED: { status: 502, message: 'The download failed' },
+  TOOLS_UNAVAILABLE: { status: 503, message: 'yt-dlp or ffmpeg is not available' },
+  INSUFFICIENT_STORAGE: { status: 507, message: 'Not enough free disk space for new downloads' }
+};
+
+// lib/limits.js limit names -> codes
+const LIMIT_CODES = {
+  rate: 'RATE_LIMITED',
+  lookups: 'SERVER_BUSY',
+  downloads: 'QUOTA_EXCEEDED',
+  bytes: 'QUOTA_EXCEEDED',
+  media: 'MEDIA_TOO_LARGE',
+  disk: 'INSUFFICIENT_STORAGE'
+};
+
+// yt-dlp error output -> codes, after the login and geo checks
+const TOOL_ERRORS = [
+  { pattern: /spawn \S+ (ENOENT|EACCES)/, code: 'TOOLS_UNAVAILABLE' },
+  { pattern: /unsupported url/i, code: 'UNSUPPORTED_URL' },
+  { pattern: /larger than max-filesize/i, code: 'MEDIA_TOO_LARGE' },
+  { pattern: /requested format (is )?not available|no video formats found/i, code: 'FORMAT_UNAVAILABLE' },
+  { pattern: /video unavailable|video (is|has been) (removed|deleted)|does not exist|HTTP Error 404|\b404: Not Found/i, code: 'VIDEO_UNAVAILABLE' }
+];
+
+// An Error with a code from ERROR_CODES; `extra` adds fields such as
+// retryAfter, limit or errors (validation problems)
+function apiError(code, message, extra = {}) {
+  const err = new Error(message || ERROR_CODES[code].message);
+  err.code = code;
+  err.status = ERROR_CODES[code].status;
+  Object.assign(err, extra);
+  return err;
+}
+
+// The last "ERROR:" line of yt-dlp's output, without the prefix
+function toolMessage(output) {
+  const lines = String(output || '').split('\n').map(line => line.trim()).filter(Boolean);
+  const line = lines.filter(text => /^ERROR:/.test(text)).pop() || lines.pop() || '';
+  return line.replace(/^ERROR:\s*/, '').slice(0, 500) || null;
+}
+
+// Classifies a failed yt-dlp run. `fallback` is the code for failures
+// nothing more specific matches.
+function toolError(output, { usedCookies = false, fallback = 'EXTRACTION_FAILED' } = {}) {
+  const text = String(output || '');
+  const problem = accessProblem(text, { usedCookies });
+  if (problem) {
+    return apiError(problem.reason === 'geo' ? 'GEO_BLOCKED' : 'LOGIN_REQUIRED', problem.message, {
+      reason: problem.reason,
+      toolMessage: toolMessage(text)
+    });
+  }
+  const match = TOOL_ERRORS.find(entry => entry.pattern.test(text));
+  return apiError(match ? match.code : fallback, null, { toolMessage: toolMessage(text) });
+}
+
+// Any error as an API error: coded ones are kept, limit errors get the
+// code of their limit and everything else is an internal error
+function toApiError(err) {
+  if (err && ERROR_CODES[err.code] && err.status) return err;
+  if (err && err.limit && LIMIT_CODES[err.limit]) {
+    return apiError(LIMIT_CODES[err.limit], err.message, { limit: err.limit, retryAfter: err.retryAfter || null });
+  }
+  // Body parser errors (malformed JSON, too large) carry a 4xx status
+  if (err && err.type === 'entity.parse.failed') return apiError('VALIDATION_FAILED', 'The request body is not valid JSON');
+  if (err && err.status === 413) return apiError('VALIDATION_FAILED', 'The request body is too large');
+  return apiError('INTERNAL_ERROR');
+}
+
+// JSON body for an error
+function errorBody(err) {
+  const error = { code: err.code, message: err.message };
+  if (err.errors) error.errors = err.errors;
+  if (err.reason) error.reason = err.reason;
+  if (err.limit) error.limit = err.limit;
+  if (err.retryAfter) error.retryAfter = err.retryAfter;
+  if (err.toolMessage) error.toolMessage = err.toolMessage;
+  return { error };
+}
+
+module.exports = { ERROR_CODES, apiError, toolError, toolMessage, toApiError, errorBody };
@@ -0,0 +1,103 @@
+// Request authentication. With auth disabled every request is anonymous and
+// may do everything; with it enabled requests carry a session cookie (the
+// web UI) or an `Authorization: Bearer <token>` header (scripts).
+
+const SESSION_COOKIE = 'ud_session';
+
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(pair => {
+    const index = pair.indexOf('=');
+    if (index < 0) return;
+    const name = pair.slice(0, index).trim();
+    try {
+      cookies[name] = decodeURIComponent(pair.slice(index + 1).trim());
+    } catch (e) {
+      // ignore malformed cookie values
+    }
+  });
+  return cookies;
+}
+
+function createAuth({ enabled, users, sessionTtlMs }) {
+  // Resolves req.user (null when anonymous); never rejects a request itself
+  function authenticate(req, res, next) {
+    req.user = null;
+    if (!enabled) return next();
+
+    const header = req.get('Authorization') || '';
+    const bearer = header.match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+      req.user = users.userForToken(bearer[1]);
+      req.authMethod = 'token';
+    } else {
+      const sessionId = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+      if (sessionId) {
+        req.user = users.userForSession(sessionId);
+        req.authMethod = 'session';
+      }
+    }
+    next();
+  }
+
+  function requireUser(req, res, next) {
+    if (!enabled || req.user) return next();
+    res.status(401).json({ error: 'Authentication required' });
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!enabled) return next();
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+    next();
+  }
+
+  function isAdmin(user) {
+    return !enabled || (user && user.role === 'admin');
+  }
+
+  // Jobs, library entries and files belong to whoever created them; admins
+  // (and everyone, with auth off) see all of them
+  function canAccess(user, record) {
+    if (isAdmin(user)) return true;
+    return !!user && !!record && record.ownerId === user.id;
+  }
+
+  // Owner id to stamp on new records
+  function ownerOf(user) {
+    return user ? user.id : null;
+  }
+
+  function setSessionCookie(req, res, sessionId) {
+    res.cookie(SESSION_COOKIE, sessionId, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: req.secure,
+      maxAge: sessionTtlMs,
+      path: '/'
+    });
+  }
+
+  function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+  }
+
+  function sessionIdOf(req) {
+    return parseCookies(req.get('Cookie'))[SESSION_COOKIE] || null;
+  }
+
+  return {
+    enabled,
+    authenticate,
+    requireUser,
+    requireAdmin,
+    isAdmin,
+    canAccess,
+    ownerOf,
+    setSessionCookie,
+    clearSessionCookie,
+    sessionIdOf
+  };
+}
+
+module.exports = { createAuth, parseCookies };
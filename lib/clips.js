@@ -0,0 +1,129 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpeg');
+
+const MAX_CLIPS = 10;
+
+// Accepts seconds (number or string) or [hh:]mm:ss[.fff]; returns seconds or NaN
+function parseTimestamp(value) {
+  if (typeof value === 'number') return value;
+  const text = String(value || '').trim();
+  if (!text) return NaN;
+  if (/^\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+
+  const match = text.match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+  if (!match) return NaN;
+
+  const [, hours, minutes, seconds] = match;
+  if (parseFloat(seconds) >= 60 || (hours && parseInt(minutes, 10) >= 60)) return NaN;
+  return (parseInt(hours || '0', 10) * 3600) + (parseInt(minutes, 10) * 60) + parseFloat(seconds);
+}
+
+function formatTimestamp(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = seconds % 60;
+  const secs = Number.isInteger(s) ? String(s).padStart(2, '0') : s.toFixed(2).padStart(5, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${secs}` : `${m}:${secs}`;
+}
+
+// Reads `start`/`end` or `ranges: [{ start, end }]` from a download request.
+// `end` may be left out to clip until the end of the video. Returns
+// { clips } (sorted, possibly empty) or { error }.
+function parseClipRanges(body) {
+  let ranges = [];
+  if (Array.isArray(body.ranges)) {
+    ranges = body.ranges;
+  } else if (body.start !== undefined || body.end !== undefined) {
+    ranges = [{ start: body.start, end: body.end }];
+  }
+
+  if (ranges.length > MAX_CLIPS) return { error: `At most ${MAX_CLIPS} clip ranges are allowed` };
+
+  const clips = [];
+  for (const range of ranges) {
+    const start = range.start === undefined || range.start === '' ? 0 : parseTimestamp(range.start);
+    const end = range.end === undefined || range.end === '' || range.end === null ? null : parseTimestamp(range.end);
+
+    if (Number.isNaN(start) || start < 0) return { error: `Invalid clip start: ${range.start}` };
+    if (Number.isNaN(end)) return { error: `Invalid clip end: ${range.end}` };
+    if (end !== null && end <= start) return { error: `Clip end must be after its start (${formatTimestamp(start)})` };
+    clips.push({ start, end });
+  }
+
+  clips.sort((a, b) => a.start - b.start);
+  for (let i = 1; i < clips.length; i++) {
+    const previous = clips[i - 1];
+    if (previous.end === null || previous.end > clips[i].start) return { error: 'Clip ranges must not overlap' };
+  }
+
+  return { clips };
+}
+
+function describeClips(clips) {
+  return clips
+    .map(clip => `${formatTimestamp(clip.start)}-${clip.end === null ? 'end' : formatTimestamp(clip.end)}`)
+    .join(', ');
+}
+
+// Combined length of the clips; open-ended clips need the video's duration
+function clipsDuration(clips, totalSeconds) {
+  if (clips.some(clip => clip.end === null) && !totalSeconds) return null;
+  return clips.reduce((sum, clip) => sum + ((clip.end === null ? totalSeconds : clip.end) - clip.start), 0);
+}
+
+// yt-dlp section download arguments, one --download-sections per range
+function sectionArgs(clips) {
+  return clips.flatMap(clip => ['--download-sections', `*${clip.start}-${clip.end === null ? 'inf' : clip.end}`]);
+}
+
+// Joins same-codec files with the concat demuxer (no re-encode)
+async function concatFiles(ffmpegPath, files, destPath) {
+  const listPath = `${destPath}.concat.txt`;
+  fs.writeFileSync(listPath, files.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+
+  try {
+    await runFfmpeg(ffmpegPath, ['-f', 'concat', '-safe', '0', '-i', listPath, '-map', '0', '-c', 'copy', destPath]);
+  } finally {
+    fs.rmSync(listPath, { force: true });
+  }
+}
+
+// Fallback when yt-dlp can't download sections: cut the ranges out of the
+// full file with ffmpeg (stream copy, so cuts land on keyframes) and replace
+// the source with the result
+async function trimToClips(ffmpegPath, sourcePath, clips) {
+  const { dir, name, ext } = path.parse(sourcePath);
+  const pieces = clips.map((clip, index) => path.join(dir, `${name}.clip${index + 1}${ext}`));
+  const trimmedPath = path.join(dir, `${name}.trimmed${ext}`);
+
+  try {
+    for (let i = 0; i < clips.length; i++) {
+      const args = ['-ss', String(clips[i].start)];
+      if (clips[i].end !== null) args.push('-to', String(clips[i].end));
+      args.push('-i', sourcePath, '-map', '0', '-c', 'copy', '-avoid_negative_ts', 'make_zero', pieces[i]);
+      await runFfmpeg(ffmpegPath, args);
+    }
+
+    if (pieces.length === 1) {
+      fs.renameSync(pieces[0], trimmedPath);
+    } else {
+      await concatFiles(ffmpegPath, pieces, trimmedPath);
+    }
+    fs.renameSync(trimmedPath, sourcePath);
+  } finally {
+    pieces.concat(trimmedPath).forEach(file => fs.rmSync(file, { force: true }));
+  }
+}
+
+module.exports = {
+  MAX_CLIPS,
+  parseTimestamp,
+  formatTimestamp,
+  parseClipRanges,
+  describeClips,
+  clipsDuration,
+  sectionArgs,
+  concatFiles,
+  trimToClips
+};
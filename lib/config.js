@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_TEMPLATE } = require('./filenames');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Built-in defaults. A config.json next to server.js (or the file named by
+// CONFIG_FILE) overrides these, and environment variables override both.
+const DEFAULTS = {
+  port: 3000,
+  downloadsDir: 'downloads',
+  dataDir: 'data',
+  maxConcurrentDownloads: 2,
+  // Name of finished files inside downloadsDir; see lib/filenames.js
+  outputTemplate: DEFAULT_TEMPLATE,
+  tools: {
+    ytDlp: null, // null = discover on PATH
+    ffmpeg: null,
+    ffprobe: null
+  },
+  // Video info shared by /api/info and download jobs
+  infoCache: {
+    ttlMs: 10 * 60 * 1000,
+    maxEntries: 200
+  },
+  timeouts: {
+    infoMs: 60 * 1000,
+    downloadMs: 15 * 60 * 1000,
+    thumbnailMs: 15 * 1000
+  },
+  // Accounts and API tokens; off by default, which keeps the server open to
+  // anyone who can reach it
+  auth: {
+    enabled: false,
+    sessionTtlMs: 7 * 24 * 60 * 60 * 1000
+  },
+  // Abuse protection; 0 switches a limit off
+  limits: {
+    rateWindowMs: 60 * 1000,
+    requestsPerIp: 30, // /api/info, downloads and sign-ins per window
+    requestsPerUser: 60,
+    maxInfoLookups: 4, // yt-dlp info processes at a time
+    maxWaitingInfoLookups: 20,
+    dailyDownloads: 0, // per user, or per IP without accounts
+    dailyBytes: 0,
+    maxDurationSeconds: 0,
+    maxFilesizeBytes: 0
+  },
+  // Which URLs may be downloaded. Domains match their subdomains too;
+  // extractors are yt-dlp extractor keys such as "Youtube" or "Generic".
+  // Empty allow lists allow everything that isn't denied.
+  urls: {
+    allowDomains: [],
+    denyDomains: [],
+    allowExtractors: [],
+    denyExtractors: []
+  },
+  // Housekeeping of downloadsDir; 0 switches a limit off
+  retention: {
+    maxAgeMs: 0, // library entries older than this are deleted
+    maxTotalBytes: 0, // least recently used entries go beyond this
+    minFreeBytes: 0, // new jobs are refused below this much free disk
+    intervalMs: 60 * 60 * 1000
+  },
+  // Signed share links to finished files
+  links: {
+    secret: null, // null = generated once and kept in dataDir
+    defaultTtlMs: 24 * 60 * 60 * 1000,
+    maxTtlMs: 7 * 24 * 60 * 60 * 1000
+  }
+};
+
+// Environment variable -> [section, key] (section null for top-level keys)
+const ENV_VARS = {
+  PORT: [null, 'port', 'number'],
+  DOWNLOADS_DIR: [null, 'downloadsDir'],
+  DATA_DIR: [null, 'dataDir'],
+  MAX_CONCURRENT_DOWNLOADS: [null, 'maxConcurrentDownloads', 'number'],
+  OUTPUT_TEMPLATE: [null, 'outputTemplate'],
+  YTDLP_PATH: ['tools', 'ytDlp'],
+  FFMPEG_PATH: ['tools', 'ffmpeg'],
+  FFPROBE_PATH: ['tools', 'ffprobe'],
+  INFO_CACHE_TTL_MS: ['infoCache', 'ttlMs', 'number'],
+  INFO_CACHE_MAX_ENTRIES: ['infoCache', 'maxEntries', 'number'],
+  INFO_TIMEOUT_MS: ['timeouts', 'infoMs', 'number'],
+  DOWNLOAD_TIMEOUT_MS: ['timeouts', 'downloadMs', 'number'],
+  THUMBNAIL_TIMEOUT_MS: ['timeouts', 'thumbnailMs', 'number'],
+  AUTH_ENABLED: ['auth', 'enabled', 'boolean'],
+  SESSION_TTL_MS: ['auth', 'sessionTtlMs', 'number'],
+  RATE_LIMIT_WINDOW_MS: ['limits', 'rateWindowMs', 'number'],
+  RATE_LIMIT_PER_IP: ['limits', 'requestsPerIp', 'limit'],
+  RATE_LIMIT_PER_USER: ['limits', 'requestsPerUser', 'limit'],
+  MAX_INFO_LOOKUPS: ['limits', 'maxInfoLookups', 'number'],
+  // 0 refuses lookups as soon as all slots are busy
+  MAX_WAITING_INFO_LOOKUPS: ['limits', 'maxWaitingInfoLookups', 'limit'],
+  DAILY_DOWNLOAD_QUOTA: ['limits', 'dailyDownloads', 'limit'],
+  DAILY_BYTE_QUOTA: ['limits', 'dailyBytes', 'limit'],
+  MAX_DURATION_SECONDS: ['limits', 'maxDurationSeconds', 'limit'],
+  MAX_FILESIZE_BYTES: ['limits', 'maxFilesizeBytes', 'limit'],
+  ALLOW_DOMAINS: ['urls', 'allowDomains', 'list'],
+  DENY_DOMAINS: ['urls', 'denyDomains', 'list'],
+  ALLOW_EXTRACTORS: ['urls', 'allowExtractors', 'list'],
+  DENY_EXTRACTORS: ['urls', 'denyExtractors', 'list'],
+  RETENTION_MAX_AGE_MS: ['retention', 'maxAgeMs', 'limit'],
+  RETENTION_MAX_BYTES: ['retention', 'maxTotalBytes', 'limit'],
+  MIN_FREE_BYTES: ['retention', 'minFreeBytes', 'limit'],
+  RETENTION_INTERVAL_MS: ['retention', 'intervalMs', 'number'],
+  LINK_SECRET: ['links', 'secret'],
+  LINK_TTL_MS: ['links', 'defaultTtlMs', 'number'],
+  LINK_MAX_TTL_MS: ['links', 'maxTtlMs', 'number']
+};
+
+const TRUE_VALUES = ['1', 'true', 'yes', 'on'];
+const FALSE_VALUES = ['0', 'false', 'no', 'off'];
+
+function parseBoolean(name, raw) {
+  const value = String(raw).toLowerCase();
+  if (TRUE_VALUES.includes(value)) return true;
+  if (FALSE_VALUES.includes(value)) return false;
+  throw new Error(`${name} must be true or false, got "${raw}"`);
+}
+
+// Throws when a number or limit is out of range; `shown` is the value as
+// the user wrote it
+function checkNumber(name, type, value, shown) {
+  if (type === 'number' && (typeof value !== 'number' || !Number.isFinite(value) || value <= 0)) {
+    throw new Error(`${name} must be a positive number, got ${shown}`);
+  }
+  // Limits may also be 0, which switches them off
+  if (type === 'limit' && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+    throw new Error(`${name} must be 0 or a positive number, got ${shown}`);
+  }
+}
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    throw new Error(`Invalid config file ${file}: ${e.message}`);
+  }
+}
+
+function applyEnv(config, env) {
+  Object.entries(ENV_VARS).forEach(([name, [section, key, type]]) => {
+    const raw = env[name];
+    if (raw === undefined || raw === '') return;
+
+    if (type === 'boolean') {
+      config[section][key] = parseBoolean(name, raw);
+      return;
+    }
+    // Comma-separated lists
+    if (type === 'list') {
+      config[section][key] = raw.split(',').map(item => item.trim()).filter(Boolean);
+      return;
+    }
+
+    const value = type === 'number' || type === 'limit' ? Number(raw) : raw;
+    checkNumber(name, type, value, `"${raw}"`);
+    if (section) config[section][key] = value;
+    else config[key] = value;
+  });
+}
+
+// Values from the config file get the same checks as the environment
+// variables for the same setting. Settings whose default is null may be
+// null.
+function checkFile(fromFile, file) {
+  Object.values(ENV_VARS).forEach(([section, key, type]) => {
+    const value = section ? (fromFile[section] || {})[key] : fromFile[key];
+    if (value === undefined) return;
+    const name = `${path.basename(file)}: ${section ? `${section}.` : ''}${key}`;
+    const shown = JSON.stringify(value);
+    const nullable = (section ? DEFAULTS[section][key] : DEFAULTS[key]) === null;
+
+    if (type === 'number' || type === 'limit') {
+      checkNumber(name, type, value, shown);
+    } else if (type === 'boolean') {
+      if (typeof value !== 'boolean') throw new Error(`${name} must be true or false, got ${shown}`);
+    } else if (type === 'list') {
+      if (!Array.isArray(value) || value.some(item => typeof item !== 'string')) {
+        throw new Error(`${name} must be a list of strings, got ${shown}`);
+      }
+    } else if (!(value === null && nullable) && (typeof value !== 'string' || !value)) {
+      throw new Error(`${name} must be a non-empty string${nullable ? ' or null' : ''}, got ${shown}`);
+    }
+  });
+}
+
+// Returns the effective configuration with directories resolved to absolute paths
+function loadConfig(env = process.env) {
+  const file = env.CONFIG_FILE ? path.resolve(env.CONFIG_FILE) : path.join(ROOT_DIR, 'config.json');
+  const fromFile = readConfigFile(file);
+  checkFile(fromFile, file);
+
+  const config = {
+    ...DEFAULTS,
+    ...fromFile,
+    tools: { ...DEFAULTS.tools, ...fromFile.tools },
+    infoCache: { ...DEFAULTS.infoCache, ...fromFile.infoCache },
+    timeouts: { ...DEFAULTS.timeouts, ...fromFile.timeouts },
+    auth: { ...DEFAULTS.auth, ...fromFile.auth },
+    limits: { ...DEFAULTS.limits, ...fromFile.limits },
+    urls: { ...DEFAULTS.urls, ...fromFile.urls },
+    retention: { ...DEFAULTS.retention, ...fromFile.retention },
+    links: { ...DEFAULTS.links, ...fromFile.links }
+  };
+  applyEnv(config, env);
+
+  config.downloadsDir = path.resolve(ROOT_DIR, config.downloadsDir);
+  config.dataDir = path.resolve(ROOT_DIR, config.dataDir);
+  config.file = fs.existsSync(file) ? file : null;
+  return config;
+}
+
+module.exports = { loadConfig, DEFAULTS };
@@ -0,0 +1,182 @@
+const fs = require('fs');
+const path = require('path');
+
+const MAX_COOKIE_FILE_BYTES = 1024 * 1024;
+const DOMAIN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z][a-z0-9-]{1,62}$/;
+const BOOLEAN = /^(TRUE|FALSE)$/i;
+
+// "https://www.Instagram.com", ".instagram.com" and "*.instagram.com" all
+// become "instagram.com"; anything that isn't a host name is null
+function normalizeDomain(value) {
+  let domain = String(value || '').trim().toLowerCase();
+  try {
+    if (/^https?:\/\//.test(domain)) domain = new URL(domain).hostname;
+  } catch (e) {
+    return null;
+  }
+  domain = domain.replace(/^\*?\./, '').replace(/^www\./, '').replace(/\.$/, '');
+  return DOMAIN.test(domain) ? domain : null;
+}
+
+// Checks a Netscape cookies.txt as exported by browser extensions (and
+// written by yt-dlp itself). Returns { error } or { cookies, domains }.
+function parseCookieFile(text) {
+  if (typeof text !== 'string' || !text.trim()) return { error: 'The cookie file is empty' };
+  if (Buffer.byteLength(text) > MAX_COOKIE_FILE_BYTES) return { error: 'Cookie files may be at most 1 MB' };
+
+  const domains = new Set();
+  let cookies = 0;
+  const lines = text.split('\n');
+  for (let index = 0; index < lines.length; index++) {
+    let line = lines[index].replace(/\r$/, '');
+    // HttpOnly cookies are written as comments with this prefix
+    if (line.startsWith('#HttpOnly_')) line = line.slice('#HttpOnly_'.length);
+    else if (!line.trim() || line.startsWith('#')) continue;
+
+    const fields = line.split('\t');
+    if (fields.length !== 7 || !fields[0] || !BOOLEAN.test(fields[1]) || !BOOLEAN.test(fields[3]) || !/^-?\d+(\.\d+)?$/.test(fields[4])) {
+      return { error: `Line ${index + 1} is not a Netscape cookie line (7 tab-separated fields). Export the cookies as cookies.txt` };
+    }
+    domains.add(fields[0].replace(/^\./, '').toLowerCase());
+    cookies++;
+  }
+
+  if (!cookies) return { error: 'The cookie file has no cookies in it' };
+  return { cookies, domains: Array.from(domains).sort() };
+}
+
+// cookies.txt files handed to yt-dlp with --cookies. Shared files apply to
+// everyone; a user's own file for the same site takes precedence. Files are
+// stored as <dir>/shared/<domain>.txt and <dir>/users/<userId>/<domain>.txt,
+// readable by the server's user only.
+function createCookieStore({ dir }) {
+  function folderOf(ownerId) {
+    if (!ownerId) return path.join(dir, 'shared');
+    if (!/^[\w-]+$/.test(ownerId)) throw new Error('Invalid owner id');
+    return path.join(dir, 'users', ownerId);
+  }
+
+  function describe(domain, ownerId, file) {
+    const stats = fs.statSync(file);
+    const parsed = parseCookieFile(fs.readFileSync(file, 'utf8'));
+    return {
+      domain,
+      shared: !ownerId,
+      cookies: parsed.cookies || 0,
+      updatedAt: stats.mtime.toISOString()
+    };
+  }
+
+  function entriesOf(ownerId) {
+    const folder = folderOf(ownerId);
+    let names;
+    try {
+      names = fs.readdirSync(folder);
+    } catch (e) {
+      return [];
+    }
+    return names
+      .filter(name => name.endsWith('.txt') && normalizeDomain(name.slice(0, -4)) === name.slice(0, -4))
+      .map(name => ({ domain: name.slice(0, -4), ownerId, file: path.join(folder, name) }));
+  }
+
+  // Stores (or replaces) the cookies for a site. Returns { error } or { cookieFile }.
+  function save({ domain, ownerId = null, content }) {
+    const site = normalizeDomain(domain);
+    if (!site) return { error: 'Enter the site the cookies are for, e.g. instagram.com' };
+    const parsed = parseCookieFile(content);
+    if (parsed.error) return { error: parsed.error };
+
+    const folder = folderOf(ownerId);
+    fs.mkdirSync(folder, { recursive: true, mode: 0o700 });
+    const file = path.join(folder, `${site}.txt`);
+    const tmp = `${file}.tmp`;
+    fs.rmSync(tmp, { force: true });
+    fs.writeFileSync(tmp, content, { mode: 0o600 });
+    fs.renameSync(tmp, file);
+    return { cookieFile: describe(site, ownerId, file) };
+  }
+
+  function remove(domain, ownerId = null) {
+    const site = normalizeDomain(domain);
+    if (!site) return false;
+    const file = path.join(folderOf(ownerId), `${site}.txt`);
+    if (!fs.existsSync(file)) return false;
+    fs.rmSync(file, { force: true });
+    return true;
+  }
+
+  // Every file of a user, e.g. when the account is deleted
+  function removeOwner(ownerId) {
+    if (ownerId) fs.rmSync(folderOf(ownerId), { recursive: true, force: true });
+  }
+
+  // The user's own files and the shared ones; never their contents
+  function list(ownerId = null) {
+    const own = ownerId ? entriesOf(ownerId) : [];
+    return [...own, ...entriesOf(null)].map(entry => describe(entry.domain, entry.ownerId, entry.file));
+  }
+
+  // Cookie file for a URL: the user's own for the most specific matching
+  // site, otherwise a shared one. Returns { file, shared } or null.
+  function fileFor(url, ownerId = null) {
+    let host;
+    try {
+      host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+      return null;
+    }
+
+    const matching = (entries) => entries
+      .filter(entry => host === entry.domain || host.endsWith(`.${entry.domain}`))
+      .sort((a, b) => b.domain.length - a.domain.length)[0];
+    const match = (ownerId && matching(entriesOf(ownerId))) || matching(entriesOf(null));
+    return match ? { file: match.file, shared: !match.ownerId } : null;
+  }
+
+  return { save, remove, removeOwner, list, fileFor };
+}
+
+// yt-dlp errors for videos that need a signed-in account and for ones
+// blocked in the server's country
+const LOGIN_REQUIRED = [
+  /sign in to confirm/i,
+  /login required/i,
+  /requires? (a )?log ?in/i,
+  /you need to log ?in/i,
+  /log ?in to (view|access|watch|continue)/i,
+  /account authentication is required/i,
+  /only available for registered users/i,
+  /private video/i,
+  /members[- ]only/i,
+  /join this channel/i,
+  /inappropriate for some users/i,
+  /age[- ]restricted/i,
+  /--cookies/
+];
+const GEO_BLOCKED = [
+  /available in your (country|region)/i,
+  /blocked it in your country/i,
+  /not available from your location/i,
+  /geo[- ]?restrict/i
+];
+
+// Turns yt-dlp's error output into something the user can act on.
+// Returns { reason: 'login' | 'geo', message } or null.
+function accessProblem(output, { usedCookies = false } = {}) {
+  const text = String(output || '');
+  if (GEO_BLOCKED.some(pattern => pattern.test(text))) {
+    return { reason: 'geo', message: 'This video is not available in the country the server is in (geo-blocked)' };
+  }
+  if (LOGIN_REQUIRED.some(pattern => pattern.test(text))) {
+    return {
+      reason: 'login',
+      message: usedCookies
+        ? 'This video needs a signed-in account and the uploaded cookies were not accepted. They may have expired; export them again'
+        : 'This video needs a signed-in account. Upload a cookies.txt for this site to download it'
+    };
+  }
+  return null;
+}
+
+module.exports = { createCookieStore, parseCookieFile, normalizeDomain, accessProblem };
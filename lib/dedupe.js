@@ -0,0 +1,45 @@
+const { normalizeUrl } = require('./infoCache');
+
+// Download options that change the file a job produces. Retries and the
+// display title don't, so they are left out of the key.
+const OUTPUT_OPTIONS = [
+  'mode', 'proMode', 'videoItag', 'audioItag', 'quality', 'container', 'bitrate',
+  'audioCodec', 'audioBitrate', 'clips', 'subtitles', 'infoJson', 'squareCover', 'postprocess'
+];
+
+// The video a URL points at: extractor + id when the info is known (so
+// different URLs of one video match), otherwise the normalized URL
+function videoIdentity(url, info) {
+  const extractor = info && (info.extractor_key || info.extractor);
+  if (extractor && info.id) return `${extractor.toLowerCase()}:${info.id}`;
+  return normalizeUrl(url);
+}
+
+// JSON with sorted object keys, so equal options always serialize alike
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// Options that mean the same whether sent as a number or a string: the web
+// UI sends itags as strings, /api/v1 also takes integers
+const STRING_OPTIONS = ['videoItag', 'audioItag'];
+
+// Key shared by every request that would produce the same file
+function downloadKey(url, info, options) {
+  const relevant = {};
+  OUTPUT_OPTIONS.forEach(name => {
+    const value = options[name];
+    if (value === undefined || value === null || value === '') return;
+    relevant[name] = STRING_OPTIONS.includes(name) ? String(value) : value;
+  });
+  return `${videoIdentity(url, info)}|${stableStringify(relevant)}`;
+}
+
+module.exports = { downloadKey, videoIdentity };
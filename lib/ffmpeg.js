@@ -0,0 +1,53 @@
+const { spawn } = require('child_process');
+const { onLines } = require('./progress');
+
+// Runs ffmpeg to completion. Rejects with the tail of stderr on failure.
+// With `options.onProgress` ffmpeg reports through -progress and the
+// callback gets { seconds, speed, done } for every report; aborting
+// `options.signal` stops the process.
+function runFfmpeg(ffmpegPath, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const reportArgs = options.onProgress ? ['-nostats', '-progress', 'pipe:1'] : [];
+    const ff = spawn(ffmpegPath, ['-y', '-hide_banner', ...reportArgs, ...args], { cwd: options.cwd });
+    let stderr = '';
+
+    // -progress writes key=value lines; each report ends with progress=continue|end
+    if (options.onProgress) {
+      let report = {};
+      onLines(ff.stdout, (line) => {
+        const index = line.indexOf('=');
+        if (index < 0) return;
+        const key = line.slice(0, index).trim();
+        const value = line.slice(index + 1).trim();
+        report[key] = value;
+        if (key !== 'progress') return;
+
+        // out_time_ms is in microseconds too, despite its name
+        const micros = Number(report.out_time_us || report.out_time_ms);
+        const speed = parseFloat(report.speed);
+        options.onProgress({
+          seconds: Number.isFinite(micros) && micros >= 0 ? micros / 1e6 : null,
+          speed: Number.isFinite(speed) && speed > 0 ? speed : null,
+          done: value === 'end'
+        });
+        report = {};
+      });
+    }
+
+    const stop = () => ff.kill();
+    if (options.signal) options.signal.addEventListener('abort', stop, { once: true });
+
+    ff.stderr.on('data', (d) => { stderr += d.toString(); });
+    ff.on('error', (err) => reject(err));
+    ff.on('close', (code) => {
+      if (options.signal) {
+        options.signal.removeEventListener('abort', stop);
+        if (options.signal.aborted) return reject(new Error('FFmpeg was stopped'));
+      }
+      if (code === 0) return resolve();
+      reject(new Error(`FFmpeg exited with code ${code}. Stderr: ${stderr.slice(-2000)}`));
+    });
+  });
+}
+
+module.exports = { runFfmpeg };
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_TEMPLATE = '{title} [{id}].{ext}';
+
+// Fields a template may use; anything else in braces is left as typed
+const TEMPLATE_FIELDS = [
+  'id', 'title', 'uploader', 'channel', 'upload_date', 'extractor',
+  'resolution', 'ext', 'playlist', 'playlist_index', 'job_id'
+];
+
+// Windows refuses these as file names, with or without an extension
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[1-9]|lpt[1-9])(\..*)?$/i;
+
+// Longest path segment in UTF-8 bytes. Most filesystems stop at 255; the
+// headroom covers collision suffixes and yt-dlp's .part/.ytdl files.
+const MAX_SEGMENT_BYTES = 200;
+
+// Checks a template before it is used. Returns an error message or null.
+function validateTemplate(template) {
+  if (typeof template !== 'string' || !template.trim()) return 'Output template must be a non-empty string';
+  if (!template.includes('{ext}')) return 'Output template must include {ext}';
+  if (path.isAbsolute(template) || /(^|[\\/])\.\.([\\/]|$)/.test(template)) {
+    return 'Output template must stay inside the downloads folder';
+  }
+  const unknown = (template.match(/\{([a-z_]+)\}/g) || [])
+    .map(field => field.slice(1, -1))
+    .filter(field => !TEMPLATE_FIELDS.includes(field));
+  if (unknown.length) return `Unknown output template field: ${unknown[0]}`;
+  return null;
+}
+
+// Template values from the yt-dlp info JSON, falling back to the job record
+function templateValues(info, job, ext) {
+  const data = info || {};
+  const uploadDate = /^\d{8}$/.test(data.upload_date || '')
+    ? `${data.upload_date.slice(0, 4)}-${data.upload_date.slice(4, 6)}-${data.upload_date.slice(6, 8)}`
+    : '';
+
+  return {
+    id: data.id || job.id,
+    title: data.title || job.title || job.id,
+    uploader: data.uploader || data.channel || '',
+    channel: data.channel || data.uploader || '',
+    upload_date: uploadDate,
+    extractor: data.extractor_key || data.extractor || '',
+    resolution: data.height ? `${data.height}p` : '',
+    ext,
+    playlist: job.batchTitle || '',
+    playlist_index: job.options && job.options.playlistIndex ? String(job.options.playlistIndex).padStart(3, '0') : '',
+    job_id: job.id
+  };
+}
+
+function truncateBytes(text, maxBytes) {
+  if (Buffer.byteLength(text) <= maxBytes) return text;
+  let result = '';
+  for (const ch of text) {
+    if (Buffer.byteLength(result + ch) > maxBytes) break;
+    result += ch;
+  }
+  return result;
+}
+
+// Makes one path segment safe on Windows, macOS and Linux filesystems
+function sanitizeSegment(segment, fallback = 'download') {
+  let name = String(segment)
+    .normalize('NFC')
+    .replace(/[\u0000-\u001f\u007f]/g, '')
+    .replace(/[<>:"/\\|?*]/g, '_')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[. ]+$/, ''); // Windows drops trailing dots and spaces
+
+  if (!name || /^\.+$/.test(name)) name = fallback;
+  if (RESERVED_NAMES.test(name)) name = `_${name}`;
+  return name;
+}
+
+// Keeps the extension when a file name has to be shortened
+function limitFileName(name, maxBytes = MAX_SEGMENT_BYTES) {
+  const ext = path.extname(name);
+  const stem = name.slice(0, name.length - ext.length);
+  return `${truncateBytes(stem, maxBytes - Buffer.byteLength(ext)).trim()}${ext}`;
+}
+
+// Expands a template into a relative path ('/'-separated). Values are
+// sanitized one by one, so a '/' inside a title can't create folders;
+// folders whose fields all came out empty are dropped.
+function renderTemplate(template, values) {
+  const segments = template.split(/[\\/]/).map((part, index, parts) => {
+    const isFile = index === parts.length - 1;
+    let empty = true;
+    const rendered = part.replace(/\{([a-z_]+)\}/g, (match, field) => {
+      if (!TEMPLATE_FIELDS.includes(field)) return match;
+      const value = values[field] === undefined || values[field] === null ? '' : String(values[field]);
+      if (value) empty = false;
+      // Leading dots would make hidden files on Unix
+      return value.replace(/[\\/]/g, '_').replace(/^\.+/, '');
+    });
+
+    if (!isFile && empty && /\{[a-z_]+\}/.test(part)) return null;
+    const safe = sanitizeSegment(rendered, isFile ? `download.${values.ext}` : '_');
+    return isFile ? limitFileName(safe) : truncateBytes(safe, MAX_SEGMENT_BYTES);
+  });
+
+  return segments.filter(Boolean).join('/');
+}
+
+// First free variant of `relativePath` in `dir`: "name.ext", "name (2).ext", ...
+// The names `<stem><suffix>` of the sidecars that go with it (e.g.
+// ".en.srt") have to be free too.
+function uniquePath(dir, relativePath, sidecarSuffixes = []) {
+  const ext = path.extname(relativePath);
+  const stem = relativePath.slice(0, relativePath.length - ext.length);
+
+  for (let n = 1; ; n++) {
+    const candidateStem = n === 1 ? stem : `${stem} (${n})`;
+    const names = [`${candidateStem}${ext}`, ...sidecarSuffixes.map(suffix => `${candidateStem}${suffix}`)];
+    if (!names.some(name => fs.existsSync(path.join(dir, name)))) return `${candidateStem}${ext}`;
+  }
+}
+
+// Moves a finished download (and its sidecars) to its templated name.
+// Sidecars keep their `.<lang>.<ext>` suffix after the new stem. Returns
+// { file, sidecars } as '/'-separated paths relative to `dir`.
+function applyOutputName(dir, currentFile, sidecars, relativePath) {
+  const currentStem = currentFile.slice(0, currentFile.length - path.extname(currentFile).length);
+  const suffixes = sidecars.map(sidecar => sidecar.slice(currentStem.length));
+  const target = uniquePath(dir, relativePath, suffixes);
+  fs.mkdirSync(path.dirname(path.join(dir, target)), { recursive: true });
+  fs.renameSync(path.join(dir, currentFile), path.join(dir, target));
+
+  const targetStem = target.slice(0, target.length - path.extname(target).length);
+  const renamedSidecars = sidecars.map((sidecar, index) => {
+    const renamed = `${targetStem}${suffixes[index]}`;
+    fs.renameSync(path.join(dir, sidecar), path.join(dir, renamed));
+    return renamed;
+  });
+
+  return { file: target, sidecars: renamedSidecars };
+}
+
+// Content-Disposition with an ASCII fallback name plus the exact UTF-8 name
+// in RFC 5987 encoding (filename*), which every current browser prefers
+function contentDisposition(fileName, type = 'attachment') {
+  const fallback = fileName
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]/g, '_')
+    .replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(fileName)
+    .replace(/['()*]/g, ch => `%${ch.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `${type}; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+module.exports = {
+  DEFAULT_TEMPLATE,
+  TEMPLATE_FIELDS,
+  validateTemplate,
+  templateValues,
+  sanitizeSegment,
+  renderTemplate,
+  uniquePath,
+  applyOutputName,
+  contentDisposition
+};
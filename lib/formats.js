@@ -0,0 +1,220 @@
+// Format selection and output options for yt-dlp download jobs
+
+// Quality rules applied to every entry of a playlist download, since
+// per-video itags aren't known up front
+const QUALITY_RULES = {
+  best: 'bestvideo+bestaudio/best',
+  '2160p': 'bestvideo[height<=2160]+bestaudio/best[height<=2160]',
+  '1440p': 'bestvideo[height<=1440]+bestaudio/best[height<=1440]',
+  '1080p': 'bestvideo[height<=1080]+bestaudio/best[height<=1080]',
+  '720p': 'bestvideo[height<=720]+bestaudio/best[height<=720]',
+  '480p': 'bestvideo[height<=480]+bestaudio/best[height<=480]',
+  '360p': 'bestvideo[height<=360]+bestaudio/best[height<=360]'
+};
+
+// Audio-only targets, transcoded by yt-dlp's ffmpeg extract-audio step.
+// `bitrates` are the kbps choices offered for lossy codecs.
+const AUDIO_CODECS = {
+  mp3: { ext: 'mp3', bitrates: [320, 256, 192, 128, 96] },
+  m4a: { ext: 'm4a', bitrates: [256, 192, 160, 128, 96] },
+  opus: { ext: 'opus', bitrates: [256, 192, 160, 128, 96, 64] },
+  flac: { ext: 'flac', lossless: true }
+};
+
+const DEFAULT_AUDIO_BITRATE = 192;
+
+// Output containers for video downloads. Video is always stream-copied, so
+// its codec has to fit the container; audio is either copied or re-encoded
+// with the container's native encoder, depending on the bitrate preset.
+// Codec lists are matched against the first segment of yt-dlp's
+// vcodec/acodec strings (e.g. 'avc1.640028' -> 'avc1'); null accepts anything.
+const CONTAINERS = {
+  mp4: {
+    videoCodecs: ['avc1', 'avc3', 'h264', 'hev1', 'hvc1', 'h265', 'av01', 'vp09', 'vp9'],
+    audioCodecs: ['mp4a', 'aac', 'mp3', 'ac-3', 'ec-3'],
+    audioEncoder: 'aac',
+    sort: 'ext:mp4:m4a'
+  },
+  webm: {
+    videoCodecs: ['vp8', 'vp9', 'vp09', 'av01'],
+    audioCodecs: ['opus', 'vorbis'],
+    audioEncoder: 'libopus',
+    sort: 'ext:webm:webm'
+  },
+  mkv: {
+    videoCodecs: null,
+    audioCodecs: null,
+    audioEncoder: 'aac',
+    sort: null
+  }
+};
+
+// Pro Mode bitrate presets. 'high' keeps the source audio untouched; the
+// others re-encode it at a target bitrate per encoder.
+const BITRATE_PRESETS = {
+  high: { copyAudio: true },
+  medium: { aac: '192k', libopus: '128k' },
+  low: { aac: '128k', libopus: '96k' }
+};
+
+// Without Pro Mode downloads behave as they always have: mp4 with AAC 192k
+const DEFAULT_CONTAINER = 'mp4';
+const DEFAULT_BITRATE = 'medium';
+const DEFAULT_RETRIES = 3;
+const MAX_RETRIES = 5;
+
+// What a yt-dlp format id looks like (137, "hls-720p", "dash-1.0"); anything
+// else could be a format selector expression
+const ITAG_PATTERN = /^[\w.-]{1,100}$/;
+
+function isItag(value) {
+  if (typeof value === 'number') return Number.isInteger(value) && value >= 0;
+  return typeof value === 'string' && ITAG_PATTERN.test(value);
+}
+
+// Validates the format-related fields of a download request.
+// Returns { options } on success or { error } with a message for a 400.
+function validateDownloadOptions(body) {
+  const { videoItag, audioItag, quality } = body;
+  const mode = body.mode || 'video';
+  const proMode = body.proMode === true || body.proMode === 'true';
+
+  if (!['video', 'audio'].includes(mode)) return { error: `Unknown download mode: ${mode}` };
+  if (quality && !QUALITY_RULES[quality]) return { error: `Unknown quality rule: ${quality}` };
+  for (const [name, itag] of [['video', videoItag], ['audio', audioItag]]) {
+    if (itag !== undefined && itag !== null && itag !== '' && !isItag(itag)) {
+      return { error: `Invalid ${name} format id: ${JSON.stringify(itag)}` };
+    }
+  }
+
+  let retries = DEFAULT_RETRIES;
+  if (proMode && body.retries !== undefined && body.retries !== '') {
+    retries = Number(body.retries);
+    if (!Number.isInteger(retries) || retries < 1 || retries > MAX_RETRIES) {
+      return { error: `Retry attempts must be a whole number between 1 and ${MAX_RETRIES}` };
+    }
+  }
+
+  if (mode === 'audio') {
+    const audioCodec = body.audioCodec || 'mp3';
+    const codec = AUDIO_CODECS[audioCodec];
+    if (!codec) return { error: `Unsupported audio codec: ${audioCodec}` };
+
+    let audioBitrate = null;
+    if (!codec.lossless) {
+      audioBitrate = parseInt(body.audioBitrate, 10) || DEFAULT_AUDIO_BITRATE;
+      if (!codec.bitrates.includes(audioBitrate)) {
+        return { error: `Unsupported bitrate for ${audioCodec}: ${audioBitrate}kbps` };
+      }
+    }
+
+    return { options: { mode, proMode, audioItag, audioCodec, audioBitrate, retries } };
+  }
+
+  const container = proMode ? (body.format || DEFAULT_CONTAINER) : DEFAULT_CONTAINER;
+  const bitrate = proMode ? (body.bitrate || 'high') : DEFAULT_BITRATE;
+  if (!CONTAINERS[container]) return { error: `Unsupported container: ${container}` };
+  if (!BITRATE_PRESETS[bitrate]) return { error: `Unknown bitrate preset: ${bitrate}` };
+
+  return { options: { mode, proMode, videoItag, audioItag, quality, container, bitrate, retries } };
+}
+
+function codecFamily(codec) {
+  return String(codec || '').split('.')[0].toLowerCase();
+}
+
+// Checks the chosen itags against the target container using the formats
+// from the video's info JSON. Returns an error message, or null when the
+// combination can be produced.
+function checkFormatCompatibility(info, options) {
+  if (options.mode !== 'video') return null;
+
+  const container = CONTAINERS[options.container];
+  const preset = BITRATE_PRESETS[options.bitrate];
+  const formats = info.formats || [];
+  const findFormat = (itag) => formats.find(f => String(f.format_id) === String(itag));
+  const label = options.container.toUpperCase();
+
+  const video = options.videoItag ? findFormat(options.videoItag) : null;
+  const audio = options.audioItag ? findFormat(options.audioItag) : null;
+  if (options.videoItag && !video) return `Format ${options.videoItag} is not available for this video`;
+  if (options.audioItag && !audio) return `Format ${options.audioItag} is not available for this video`;
+
+  if (video && container.videoCodecs) {
+    const family = codecFamily(video.vcodec);
+    if (family && family !== 'none' && !container.videoCodecs.includes(family)) {
+      return `${family} video can't be stored in a ${label} container; choose another format or MKV`;
+    }
+  }
+
+  // Audio is only a concern when it is copied as-is
+  const audioSource = audio || (video && video.acodec !== 'none' ? video : null);
+  if (audioSource && preset.copyAudio && container.audioCodecs) {
+    const family = codecFamily(audioSource.acodec);
+    if (family && family !== 'none' && !container.audioCodecs.includes(family)) {
+      return `${family} audio can't be stored in a ${label} container without re-encoding; choose a lower bitrate preset or MKV`;
+    }
+  }
+
+  return null;
+}
+
+// yt-dlp arguments for the chosen formats, plus the extension of the file
+// the job ends up with
+function buildFormatArgs(options) {
+  const { videoItag, audioItag, quality } = options;
+
+  if (options.mode === 'audio') {
+    const codec = AUDIO_CODECS[options.audioCodec];
+    const args = ['-f', audioItag ? `${audioItag}/bestaudio/best` : 'bestaudio/best',
+      '--extract-audio', '--audio-format', options.audioCodec];
+    args.push('--audio-quality', codec.lossless ? '0' : `${options.audioBitrate}K`);
+    return { args, ext: codec.ext };
+  }
+
+  const containerName = options.container || DEFAULT_CONTAINER;
+  const container = CONTAINERS[containerName];
+  const preset = BITRATE_PRESETS[options.bitrate || DEFAULT_BITRATE];
+
+  let format;
+  if (videoItag && audioItag) {
+    format = `${videoItag}+${audioItag}`;
+  } else if (videoItag) {
+    format = `${videoItag}`;
+  } else if (quality) {
+    format = QUALITY_RULES[quality];
+  } else {
+    format = 'bestvideo+bestaudio';
+  }
+
+  const args = ['-f', format];
+
+  // Without fixed itags, steer yt-dlp towards streams that fit the container
+  if (options.proMode && !videoItag && !audioItag && container.sort) args.push('-S', container.sort);
+
+  const ppArgs = preset.copyAudio
+    ? '-c:v copy -c:a copy'
+    : `-c:v copy -c:a ${container.audioEncoder} -b:a ${preset[container.audioEncoder]}`;
+
+  args.push(
+    '--merge-output-format', containerName,
+    '--remux-video', containerName,
+    '--postprocessor-args', `Merger:${ppArgs}`,
+    '--postprocessor-args', `VideoRemuxer:${ppArgs}`
+  );
+
+  return { args, ext: containerName };
+}
+
+module.exports = {
+  QUALITY_RULES,
+  AUDIO_CODECS,
+  CONTAINERS,
+  BITRATE_PRESETS,
+  DEFAULT_RETRIES,
+  MAX_RETRIES,
+  ITAG_PATTERN,
+  validateDownloadOptions,
+  checkFormatCompatibility,
+  buildFormatArgs
+};
@@ -0,0 +1,118 @@
+// In-memory cache of yt-dlp info JSON, keyed by extractor + video id. Each
+// normalized URL a video was fetched with becomes an alias of its entry, so
+// youtu.be links, /shorts/ links and watch URLs with tracking parameters all
+// hit the same entry, and other URLs of the video share it once looked up.
+
+// Query parameters that never change what a URL points at
+const TRACKING_PARAMS = /^(utm_.*|si|feature|fbclid|gclid|igshid|pp|ab_channel)$/i;
+// Start times; only on YouTube is it certain they don't pick other content
+const YOUTUBE_TIME_PARAMS = /^(t|start)$/i;
+
+const YOUTUBE_HOSTS = ['youtube.com', 'youtu.be', 'youtube-nocookie.com', 'music.youtube.com'];
+
+function youtubeId(parsed, host) {
+  if (host === 'youtu.be') return parsed.pathname.split('/')[1] || null;
+  const match = parsed.pathname.match(/^\/(?:shorts|embed|live|v)\/([\w-]{11})/);
+  if (match) return match[1];
+  if (parsed.pathname === '/watch') return parsed.searchParams.get('v');
+  return null;
+}
+
+// Canonical form of a URL for cache lookups; unparseable input is returned trimmed
+function normalizeUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch (e) {
+    return String(url).trim();
+  }
+
+  const host = parsed.hostname.toLowerCase().replace(/^(www|m)\./, '');
+  if (YOUTUBE_HOSTS.includes(host)) {
+    const id = youtubeId(parsed, host);
+    if (id) return `youtube:${id}`;
+  }
+
+  const isYoutube = YOUTUBE_HOSTS.includes(host);
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAMS.test(key) && !(isYoutube && YOUTUBE_TIME_PARAMS.test(key)))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = params.length ? `?${new URLSearchParams(params)}` : '';
+  const pathname = parsed.pathname.replace(/\/+$/, '') || '/';
+  return `${host}${pathname}${query}`;
+}
+
+function idKey(info) {
+  const extractor = info.extractor_key || info.extractor;
+  return extractor && info.id ? `id:${extractor.toLowerCase()}:${info.id}` : null;
+}
+
+// `fetch(url)` resolves with the info JSON of a single video. Concurrent
+// lookups of the same URL share one yt-dlp run.
+function createInfoCache({ fetch, ttlMs = 10 * 60 * 1000, maxEntries = 200 }) {
+  const entries = new Map(); // id key -> { info, fetchedAt }, oldest first
+  const aliases = new Map(); // normalized URL -> id key
+  const pending = new Map(); // normalized URL -> promise
+
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (Date.now() - entry.fetchedAt > ttlMs) {
+      entries.delete(key);
+      return null;
+    }
+    // Refresh its position so the least recently used entry goes first
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.info;
+  }
+
+  function store(url, info) {
+    // Info without an id can only be found by the URL it came from
+    const key = idKey(info) || `url:${normalizeUrl(url)}`;
+    entries.delete(key);
+    entries.set(key, { info, fetchedAt: Date.now() });
+    aliases.set(normalizeUrl(url), key);
+
+    if (entries.size <= maxEntries) return;
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+    // Aliases of evicted entries go with them
+    aliases.forEach((target, alias) => { if (!entries.has(target)) aliases.delete(alias); });
+  }
+
+  // Cached info for a URL without fetching; null on a miss
+  function peek(url) {
+    const key = aliases.get(normalizeUrl(url));
+    return key ? lookup(key) : null;
+  }
+
+  async function get(url, { refresh = false } = {}) {
+    const key = normalizeUrl(url);
+    if (!refresh) {
+      const cached = peek(url);
+      if (cached) return cached;
+    }
+    if (pending.has(key)) return pending.get(key);
+
+    const request = Promise.resolve()
+      .then(() => fetch(url))
+      .then(info => {
+        store(url, info);
+        return info;
+      })
+      .finally(() => pending.delete(key));
+
+    pending.set(key, request);
+    return request;
+  }
+
+  function stats() {
+    return { entries: entries.size, maxEntries, ttlMs };
+  }
+
+  return { get, peek, stats };
+}
+
+module.exports = { createInfoCache, normalizeUrl };
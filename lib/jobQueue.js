@@ -0,0 +1,347 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+// Job states
+const QUEUED = 'queued';
+const RUNNING = 'running';
+const MERGING = 'merging';
+const EMBEDDING = 'embedding';
+const PROCESSING = 'processing';
+const PAUSED = 'paused';
+const DONE = 'done';
+const FAILED = 'failed';
+const CANCELLED = 'cancelled';
+
+const ACTIVE_STATES = [RUNNING, MERGING, PROCESSING, EMBEDDING];
+const FINAL_STATES = [DONE, FAILED, CANCELLED];
+
+// How many finished jobs are kept in the queue file before the oldest are dropped
+const MAX_FINISHED_JOBS = 200;
+
+function isActive(job) {
+  return ACTIVE_STATES.includes(job.state);
+}
+
+function isFinal(job) {
+  return FINAL_STATES.includes(job.state);
+}
+
+// Persistent download queue. `runner(job, ctx)` does the actual work and
+// resolves with `{ file, ...extras }`, which is merged into the job;
+// ctx.update(patch) reports progress/state changes on the job's own channel
+// and ctx.signal aborts with reason 'pause' or 'cancel'. `cleanup(job)` removes whatever a cancelled job left behind.
+function createJobQueue({ file, concurrency = 2, runner, cleanup = () => {} }) {
+  const jobs = new Map(); // id -> job record (persisted)
+  const channels = new Map(); // id -> EventEmitter (in-memory only)
+  const controllers = new Map(); // id -> AbortController of the running job
+  const cancelRequested = new Set(); // ids cancelled while a pause was still settling
+  const events = new EventEmitter();
+  let saveTimer = null;
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (saved.jobs || []).forEach(job => {
+        // Jobs that were mid-flight when the server stopped go back in line
+        if (isActive(job)) {
+          job.state = QUEUED;
+          job.progress = 0;
+          job.status = 'Queued (restarted)';
+        }
+        jobs.set(job.id, job);
+      });
+    } catch (e) {
+      console.warn('Failed to load job queue, starting empty:', e.message);
+    }
+  }
+
+  function saveNow() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ jobs: list() }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('Failed to persist job queue:', e.message);
+    }
+  }
+
+  // Progress ticks are frequent, so only state changes are written immediately
+  function save(immediate) {
+    if (immediate) return saveNow();
+    if (!saveTimer) saveTimer = setTimeout(saveNow, 1000);
+  }
+
+  function trimFinished() {
+    const finished = list().filter(isFinal);
+    finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_JOBS))
+      .forEach(job => jobs.delete(job.id));
+  }
+
+  function snapshot(job) {
+    const payload = {
+      jobId: job.id,
+      state: job.state,
+      progress: job.progress,
+      status: job.status,
+      phase: job.phase || null,
+      stats: job.stats || null
+    };
+    if (job.state === DONE) Object.assign(payload, { complete: true, file: job.file, sidecars: job.sidecars || [] });
+    if (job.state === FAILED) Object.assign(payload, { error: job.error, details: job.details });
+    if (job.state === CANCELLED) Object.assign(payload, { cancelled: true, error: job.error });
+    return payload;
+  }
+
+  function emit(job, payload) {
+    const channel = channels.get(job.id);
+    if (channel) channel.emit('progress', { jobId: job.id, ...payload });
+    events.emit('change', job);
+
+    if (isFinal(job)) {
+      if (channel) channel.removeAllListeners();
+      channels.delete(job.id);
+    }
+  }
+
+  function update(id, patch) {
+    const job = jobs.get(id);
+    if (!job || isFinal(job)) return;
+
+    const stateChanged = patch.state && patch.state !== job.state;
+    Object.assign(job, patch, { updatedAt: new Date().toISOString() });
+    save(stateChanged);
+    emit(job, patch);
+  }
+
+  function finish(id, patch, payload) {
+    const job = jobs.get(id);
+    if (!job || isFinal(job)) return;
+
+    Object.assign(job, patch, {
+      updatedAt: new Date().toISOString(),
+      finishedAt: new Date().toISOString()
+    });
+    trimFinished();
+    save(true);
+    emit(job, { state: job.state, ...payload });
+  }
+
+  function markCancelled(id) {
+    finish(id,
+      { state: CANCELLED, status: 'Cancelled', error: 'Download cancelled' },
+      { cancelled: true, error: 'Download cancelled' });
+
+    try {
+      cleanup(jobs.get(id));
+    } catch (e) {
+      console.warn(`Cleanup of job ${id} failed:`, e.message);
+    }
+  }
+
+  function start(job) {
+    const controller = new AbortController();
+    controllers.set(job.id, controller);
+    update(job.id, { state: RUNNING, status: 'Starting...', startedAt: new Date().toISOString() });
+
+    const ctx = {
+      signal: controller.signal,
+      update: (patch) => update(job.id, patch)
+    };
+
+    Promise.resolve()
+      .then(() => runner(job, ctx))
+      .then((result) => {
+        finish(job.id,
+          { state: DONE, progress: 100, status: 'Done', phase: null, stats: null, ...result },
+          { complete: true, ...result });
+      })
+      .catch((err) => {
+        const reason = cancelRequested.has(job.id)
+          ? 'cancel'
+          : (controller.signal.aborted ? controller.signal.reason : null);
+
+        if (reason === 'pause') {
+          update(job.id, { state: PAUSED, status: 'Paused' });
+        } else if (reason === 'cancel') {
+          markCancelled(job.id);
+        } else {
+          console.error(`Job ${job.id} failed:`, err.message);
+          finish(job.id,
+            { state: FAILED, status: 'Failed', error: err.message, details: err.details },
+            { error: err.message, details: err.details });
+        }
+      })
+      .finally(() => {
+        controllers.delete(job.id);
+        cancelRequested.delete(job.id);
+        pump();
+      });
+  }
+
+  function pump() {
+    let slots = concurrency - list().filter(isActive).length;
+
+    for (const job of jobs.values()) {
+      if (slots <= 0) break;
+      if (job.state !== QUEUED) continue;
+      start(job);
+      slots--;
+    }
+  }
+
+  function add({ url, title, options, batchId, batchTitle, dedupeKey, ownerId, quotaKey }) {
+    const now = new Date().toISOString();
+    const job = {
+      id: uuidv4(),
+      url,
+      title: title || url,
+      batchId: batchId || null,
+      batchTitle: batchTitle || null,
+      dedupeKey: dedupeKey || null,
+      ownerId: ownerId || null,
+      quotaKey: quotaKey || null,
+      options: options || {},
+      state: QUEUED,
+      progress: 0,
+      status: 'Queued',
+      file: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    jobs.set(job.id, job);
+    save(true);
+    events.emit('change', job);
+    pump();
+    return job;
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  // An unfinished job that produces the same file, if one exists; limited
+  // to one owner's jobs when `ownerId` is given
+  function findActive(dedupeKey, ownerId) {
+    if (!dedupeKey) return null;
+    return list().find(job => job.dedupeKey === dedupeKey && !isFinal(job) &&
+      (ownerId === undefined || job.ownerId === ownerId)) || null;
+  }
+
+  function list() {
+    return Array.from(jobs.values())
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  }
+
+  // Active jobs are aborted and settle asynchronously once the runner has
+  // stopped; queued and paused jobs change state right away.
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job) return { ok: false, reason: 'Unknown job' };
+    if (isFinal(job)) return { ok: false, reason: `Cannot cancel a job that is ${job.state}` };
+
+    if (controllers.has(id)) {
+      update(id, { status: 'Cancelling...' });
+      cancelRequested.add(id);
+      controllers.get(id).abort('cancel');
+    } else {
+      markCancelled(id);
+    }
+    return { ok: true, job };
+  }
+
+  // Pausing stops the yt-dlp process but keeps its .part files so that
+  // resuming continues where it left off.
+  function pause(id) {
+    const job = jobs.get(id);
+    if (!job) return { ok: false, reason: 'Unknown job' };
+
+    if (job.state === QUEUED) {
+      update(id, { state: PAUSED, status: 'Paused' });
+    } else if (job.state === RUNNING && controllers.has(id)) {
+      update(id, { status: 'Pausing...' });
+      controllers.get(id).abort('pause');
+    } else {
+      return { ok: false, reason: `Cannot pause a job that is ${job.state}` };
+    }
+    return { ok: true, job };
+  }
+
+  function resume(id) {
+    const job = jobs.get(id);
+    if (!job) return { ok: false, reason: 'Unknown job' };
+    if (job.state !== PAUSED) return { ok: false, reason: `Cannot resume a job that is ${job.state}` };
+
+    update(id, { state: QUEUED, status: 'Queued' });
+    pump();
+    return { ok: true, job };
+  }
+
+  function remove(id) {
+    const job = jobs.get(id);
+    if (!job) return { ok: false, reason: 'Unknown job' };
+    if (!isFinal(job)) return { ok: false, reason: `Cannot remove a job that is ${job.state}` };
+
+    jobs.delete(id);
+    save(true);
+    return { ok: true, job };
+  }
+
+  // `filter` limits which finished jobs are cleared, e.g. to one owner's
+  function clearFinished(filter = () => true) {
+    const finished = list().filter(job => isFinal(job) && filter(job));
+    finished.forEach(job => jobs.delete(job.id));
+    save(true);
+    return finished.length;
+  }
+
+  // Subscribe to a single job's progress channel. The handler immediately
+  // receives the current snapshot; returns an unsubscribe function.
+  function subscribe(id, handler) {
+    const job = jobs.get(id);
+    if (!job) return null;
+
+    handler(snapshot(job));
+    if (isFinal(job)) return () => {};
+
+    if (!channels.has(id)) channels.set(id, new EventEmitter());
+    const channel = channels.get(id);
+    channel.on('progress', handler);
+    return () => channel.off('progress', handler);
+  }
+
+  load();
+
+  return {
+    add,
+    get,
+    list,
+    findActive,
+    cancel,
+    pause,
+    resume,
+    remove,
+    clearFinished,
+    subscribe,
+    snapshot: (id) => (jobs.has(id) ? snapshot(jobs.get(id)) : null),
+    on: (event, listener) => events.on(event, listener),
+    start: pump,
+    flush: saveNow
+  };
+}
+
+module.exports = {
+  createJobQueue,
+  isActive,
+  isFinal,
+  STATES: { QUEUED, RUNNING, MERGING, PROCESSING, EMBEDDING, PAUSED, DONE, FAILED, CANCELLED }
+};
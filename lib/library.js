@@ -0,0 +1,185 @@
+const fs = require('fs');
+const path = require('path');
+
+// Sort keys accepted by list() -> entry field
+const SORT_FIELDS = {
+  date: 'createdAt',
+  title: 'title',
+  uploader: 'uploader',
+  size: 'size',
+  duration: 'durationSeconds'
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Server-side index of finished downloads, persisted next to the job queue.
+// Every entry points at a file in `dir`; removing an entry deletes its files.
+function createLibrary({ file, dir }) {
+  const entries = new Map(); // id -> entry
+  let saveTimer = null;
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (saved.entries || []).forEach(entry => entries.set(entry.id, entry));
+    } catch (e) {
+      console.warn('Failed to load library, starting empty:', e.message);
+    }
+  }
+
+  function save() {
+    clearTimeout(saveTimer);
+    saveTimer = null;
+
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ entries: Array.from(entries.values()) }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('Failed to persist library:', e.message);
+    }
+  }
+
+  // Folders made by the output template go once their last file does
+  function removeEmptyParents(folder) {
+    let current = folder;
+    while (current.startsWith(dir + path.sep)) {
+      try {
+        fs.rmdirSync(current);
+      } catch (e) {
+        return; // not empty
+      }
+      current = path.dirname(current);
+    }
+  }
+
+  function filesOf(entry) {
+    return [entry.file, ...(entry.sidecars || [])].filter(Boolean);
+  }
+
+  function add(entry) {
+    const record = {
+      id: entry.id,
+      file: entry.file,
+      sidecars: entry.sidecars || [],
+      url: entry.url,
+      title: entry.title || entry.file,
+      uploader: entry.uploader || null,
+      channel: entry.channel || null,
+      uploadDate: entry.uploadDate || null,
+      extractor: entry.extractor || null,
+      videoId: entry.videoId || null,
+      thumbnail: entry.thumbnail || null,
+      mode: entry.mode || 'video',
+      format: path.extname(entry.file).slice(1).toLowerCase(),
+      size: entry.size || 0,
+      durationSeconds: entry.durationSeconds || null,
+      dedupeKey: entry.dedupeKey || null,
+      ownerId: entry.ownerId || null,
+      createdAt: new Date().toISOString(),
+      lastAccessedAt: null
+    };
+
+    entries.set(record.id, record);
+    save();
+    return record;
+  }
+
+  function get(id) {
+    return entries.get(id) || null;
+  }
+
+  function all() {
+    return Array.from(entries.values());
+  }
+
+  // Records that an entry's file was served; retention evicts the least
+  // recently used entries first. Written lazily, files are served often.
+  function touch(id) {
+    const entry = entries.get(id);
+    if (!entry) return;
+    entry.lastAccessedAt = new Date().toISOString();
+    if (!saveTimer) saveTimer = setTimeout(save, 5000);
+  }
+
+  // A stored download of the same video with the same output options,
+  // limited to one owner's entries when `ownerId` is given
+  function findByKey(dedupeKey, ownerId) {
+    if (!dedupeKey) return null;
+    return Array.from(entries.values())
+      .find(entry => entry.dedupeKey === dedupeKey &&
+        (ownerId === undefined || entry.ownerId === ownerId) &&
+        fs.existsSync(path.join(dir, entry.file))) || null;
+  }
+
+  // The entry a file (main file or sidecar, relative to `dir`) belongs to
+  function findByFile(name) {
+    return Array.from(entries.values()).find(entry => filesOf(entry).includes(name)) || null;
+  }
+
+  // Filters by a case-insensitive match on title, uploader, URL and format,
+  // then sorts and pages. `ownerId` limits the list to one user's entries.
+  // Returns { entries, total }.
+  function list({ q, sort = 'date', order, limit, offset, ownerId } = {}) {
+    const field = SORT_FIELDS[sort] || SORT_FIELDS.date;
+    // Newest first for dates, A-Z for everything else, unless told otherwise
+    const direction = (order || (field === 'createdAt' ? 'desc' : 'asc')) === 'desc' ? -1 : 1;
+    const terms = String(q || '').toLowerCase().split(/\s+/).filter(Boolean);
+
+    const matches = Array.from(entries.values()).filter(entry => {
+      if (ownerId !== undefined && entry.ownerId !== ownerId) return false;
+      const haystack = [entry.title, entry.uploader, entry.url, entry.format].join(' ').toLowerCase();
+      return terms.every(term => haystack.includes(term));
+    });
+
+    matches.sort((a, b) => {
+      const x = a[field];
+      const y = b[field];
+      if (x === y) return 0;
+      if (x === null || x === undefined) return 1;
+      if (y === null || y === undefined) return -1;
+      const result = typeof x === 'string' ? x.localeCompare(y, undefined, { sensitivity: 'base' }) : x - y;
+      return result * direction;
+    });
+
+    const start = Math.max(0, parseInt(offset, 10) || 0);
+    const size = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+    return { entries: matches.slice(start, start + size), total: matches.length };
+  }
+
+  function remove(id) {
+    const entry = entries.get(id);
+    if (!entry) return { ok: false, reason: 'Unknown library entry' };
+
+    filesOf(entry).forEach(name => {
+      fs.rmSync(path.join(dir, name), { force: true });
+      removeEmptyParents(path.dirname(path.join(dir, name)));
+    });
+    entries.delete(id);
+    save();
+    return { ok: true, entry };
+  }
+
+  // Drops entries whose main file was deleted behind the library's back
+  function prune() {
+    let removed = 0;
+    entries.forEach((entry, id) => {
+      if (!fs.existsSync(path.join(dir, entry.file))) {
+        entries.delete(id);
+        removed++;
+      }
+    });
+    if (removed) save();
+    return removed;
+  }
+
+  load();
+
+  return { add, get, all, touch, findByKey, findByFile, list, remove, prune, files: filesOf, flush: save };
+}
+
+module.exports = { createLibrary, SORT_FIELDS, MAX_PAGE_SIZE };
@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+// Error for anything refused because of a limit; `status` is the HTTP
+// status to answer with and `retryAfter` (seconds) when trying again helps
+function limitError(message, { status = 429, retryAfter = null, limit } = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.retryAfter = retryAfter;
+  err.limit = limit;
+  return err;
+}
+
+// Fixed-window request counter per key (an IP or a user id). `max` 0
+// disables the limit.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map(); // key -> { count, resetAt }
+
+  // Old windows are dropped once in a while so idle clients don't pile up
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    windows.forEach((window, key) => { if (window.resetAt <= now) windows.delete(key); });
+  }, windowMs);
+  sweeper.unref();
+
+  // Counts one request; returns { allowed, remaining, retryAfter }
+  function hit(key) {
+    if (!max) return { allowed: true, remaining: null, retryAfter: 0 };
+
+    const now = Date.now();
+    let window = windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      windows.set(key, window);
+    }
+    window.count++;
+
+    return {
+      allowed: window.count <= max,
+      remaining: Math.max(0, max - window.count),
+      retryAfter: Math.ceil((window.resetAt - now) / 1000)
+    };
+  }
+
+  return { hit, max };
+}
+
+// At most `max` tasks at a time; up to `maxWaiting` more wait for a slot
+// and anything beyond that is refused
+function createConcurrencyLimit({ max, maxWaiting }) {
+  let running = 0;
+  const waiting = [];
+
+  function release() {
+    running--;
+    const next = waiting.shift();
+    if (next) next();
+  }
+
+  async function run(task) {
+    if (running >= max) {
+      if (waiting.length >= maxWaiting) {
+        throw limitError('Too many video lookups are in progress, try again shortly', { retryAfter: 5, limit: 'lookups' });
+      }
+      await new Promise(resolve => waiting.push(resolve));
+    }
+
+    running++;
+    try {
+      return await task();
+    } finally {
+      release();
+    }
+  }
+
+  return { run, stats: () => ({ running, waiting: waiting.length, max }) };
+}
+
+// Downloads and bytes per key and UTC day, persisted so a restart doesn't
+// hand out a fresh allowance. Limits of 0 mean unlimited.
+function createQuotas({ file, dailyDownloads, dailyBytes }) {
+  let day = today();
+  let usage = {}; // key -> { downloads, bytes }
+
+  function today() {
+    return new Date().toISOString().slice(0, 10);
+  }
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (saved.day === day) usage = saved.usage || {};
+    } catch (e) {
+      console.warn('Failed to load quota usage:', e.message);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ day, usage }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('Failed to persist quota usage:', e.message);
+    }
+  }
+
+  function usageOf(key) {
+    if (day !== today()) {
+      day = today();
+      usage = {};
+    }
+    if (!usage[key]) usage[key] = { downloads: 0, bytes: 0 };
+    return usage[key];
+  }
+
+  // Seconds until the quotas reset at midnight UTC
+  function secondsUntilReset() {
+    const midnight = new Date();
+    midnight.setUTCHours(24, 0, 0, 0);
+    return Math.ceil((midnight - Date.now()) / 1000);
+  }
+
+  // Throws a limit error if `count` more downloads of about `estimatedBytes`
+  // each would go over the key's allowance
+  function check(key, { count = 1, estimatedBytes = 0 } = {}) {
+    const used = usageOf(key);
+    if (dailyDownloads && used.downloads + count > dailyDownloads) {
+      throw limitError(`Daily download limit reached (${dailyDownloads} per day)`, {
+        retryAfter: secondsUntilReset(), limit: 'downloads'
+      });
+    }
+    if (dailyBytes && used.bytes + count * estimatedBytes > dailyBytes) {
+      throw limitError(used.bytes >= dailyBytes
+        ? 'Daily data limit reached'
+        : 'This download would go over the daily data limit', {
+        retryAfter: secondsUntilReset(), limit: 'bytes'
+      });
+    }
+  }
+
+  function addDownloads(key, count = 1) {
+    usageOf(key).downloads += count;
+    save();
+  }
+
+  function addBytes(key, bytes) {
+    usageOf(key).bytes += bytes || 0;
+    save();
+  }
+
+  function report(key) {
+    const used = usageOf(key);
+    return {
+      downloads: { used: used.downloads, limit: dailyDownloads || null },
+      bytes: { used: used.bytes, limit: dailyBytes || null },
+      resetsIn: secondsUntilReset()
+    };
+  }
+
+  load();
+
+  return { check, addDownloads, addBytes, report };
+}
+
+// Expected size of a download from its info JSON: the chosen itags in Pro
+// Mode, otherwise the format yt-dlp picked by default. null when unknown.
+function estimateFilesize(info, options = {}) {
+  const sizeOf = (format) => (format && (format.filesize || format.filesize_approx)) || 0;
+  const formats = info.formats || [];
+
+  const itags = [options.videoItag, options.audioItag].filter(Boolean);
+  if (itags.length) {
+    const total = itags.reduce((sum, itag) => sum + sizeOf(formats.find(f => String(f.format_id) === String(itag))), 0);
+    return total || null;
+  }
+
+  const requested = info.requested_formats || [];
+  const total = requested.length
+    ? requested.reduce((sum, format) => sum + sizeOf(format), 0)
+    : sizeOf(info);
+  return total || null;
+}
+
+// Checks a video against the configured maximum duration and file size.
+// `durationSeconds` may be lower than the video's when only clips are kept.
+// Returns an error message or null.
+function checkMediaLimits(info, { durationSeconds, estimatedBytes }, { maxDurationSeconds, maxFilesizeBytes }) {
+  const duration = durationSeconds !== undefined ? durationSeconds : info.duration;
+  if (maxDurationSeconds && duration && duration > maxDurationSeconds) {
+    return `Videos longer than ${formatSeconds(maxDurationSeconds)} can't be downloaded here (this one is ${formatSeconds(duration)})`;
+  }
+  if (maxFilesizeBytes && estimatedBytes && estimatedBytes > maxFilesizeBytes) {
+    return `Downloads over ${formatMegabytes(maxFilesizeBytes)} aren't allowed (this one is about ${formatMegabytes(estimatedBytes)})`;
+  }
+  return null;
+}
+
+// yt-dlp skips a file over --max-filesize with this line and still exits 0
+const MAX_FILESIZE_SKIPPED = /larger than max-filesize/i;
+
+// The job's error message when yt-dlp's `output` says it skipped the file
+// for being too large; null otherwise
+function filesizeProblem(output, { maxFilesizeBytes }) {
+  if (!maxFilesizeBytes || !MAX_FILESIZE_SKIPPED.test(output)) return null;
+  return `Downloads over ${formatMegabytes(maxFilesizeBytes)} aren't allowed (this one is larger)`;
+}
+
+function formatSeconds(seconds) {
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = Math.floor(seconds % 60);
+  return h ? `${h}h ${m}m` : (m ? `${m}m ${s}s` : `${s}s`);
+}
+
+function formatMegabytes(bytes) {
+  const megabytes = bytes / (1024 * 1024);
+  return `${megabytes < 10 ? megabytes.toFixed(1) : Math.round(megabytes)} MB`;
+}
+
+module.exports = {
+  limitError,
+  createRateLimiter,
+  createConcurrencyLimit,
+  createQuotas,
+  estimateFilesize,
+  checkMediaLimits,
+  filesizeProblem
+};
@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Secret for signing share links: configured, or generated once and kept in
+// `file` so links survive restarts. Replacing it revokes every link.
+function loadLinkSecret(configured, file) {
+  if (configured) return configured;
+
+  try {
+    return fs.readFileSync(file, 'utf8').trim();
+  } catch (e) {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, secret, { mode: 0o600 });
+    return secret;
+  }
+}
+
+// Signed, expiring links to one library entry's files. `expires` is a Unix
+// time in seconds; the signature covers the id and the expiry.
+function createLinkSigner(secret) {
+  function signature(id, expires) {
+    return crypto.createHmac('sha256', secret).update(`${id}.${expires}`).digest('base64url');
+  }
+
+  function sign(id, ttlMs) {
+    const expires = Math.floor((Date.now() + ttlMs) / 1000);
+    return { expires, sig: signature(id, expires) };
+  }
+
+  function verify(id, expires, sig) {
+    const seconds = Number(expires);
+    if (!Number.isInteger(seconds) || seconds * 1000 < Date.now() || typeof sig !== 'string') return false;
+
+    const expected = Buffer.from(signature(id, seconds));
+    const actual = Buffer.from(sig);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+  }
+
+  return { sign, verify };
+}
+
+module.exports = { loadLinkSecret, createLinkSigner };
@@ -0,0 +1,126 @@
+// Tags, chapters and the archived info JSON of finished files, all taken
+// from the yt-dlp info JSON
+
+// Containers that store tags as MP4 atoms. Only the common tags have one;
+// ffmpeg's use_metadata_tags would keep custom tags but drop the iTunes
+// atoms players read, so there the extra fields go into the comment.
+const MP4_CONTAINERS = ['mp4', 'm4a', 'mov'];
+
+// Keys that must never end up in an archived info JSON: request headers
+// and the cookies yt-dlp was given
+const PRIVATE_INFO_KEYS = ['http_headers', 'cookies'];
+
+// YYYYMMDD (yt-dlp) -> YYYY-MM-DD
+function formatUploadDate(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})$/.exec(String(value || ''));
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+// Global tags for ffmpeg (generic names; each muxer maps them to ID3
+// frames, MP4 atoms or Vorbis comments). `clipText` describes the kept
+// clip ranges, if any. Empty values are left out.
+function fileTags(info, { url = '', ext = '', clipText = '' } = {}) {
+  const source = info.webpage_url || info.original_url || url;
+  const extras = {
+    channel: info.channel || info.uploader || null,
+    keywords: (info.tags || []).join(', ') || null,
+    extractor: info.extractor_key || info.extractor || null,
+    video_id: info.id || null,
+    clip: clipText || null
+  };
+
+  const tags = {
+    title: info.title || 'Untitled Video',
+    artist: info.artist || info.uploader || info.channel || 'Unknown',
+    date: formatUploadDate(info.upload_date),
+    description: info.description || null,
+    comment: source
+  };
+
+  if (MP4_CONTAINERS.includes(ext)) {
+    tags.synopsis = info.description || null;
+    tags.comment = [
+      source,
+      extras.channel && `Channel: ${extras.channel}`,
+      extras.keywords && `Tags: ${extras.keywords}`,
+      extras.extractor && extras.video_id && `ID: ${extras.extractor} ${extras.video_id}`,
+      clipText && `Clip: ${clipText}`
+    ].filter(Boolean).join('\n');
+  } else {
+    Object.assign(tags, { purl: source }, extras);
+    if (clipText) tags.comment = `${source} (clip ${clipText})`;
+  }
+
+  Object.keys(tags).forEach(key => {
+    if (tags[key] === null || tags[key] === undefined || tags[key] === '') delete tags[key];
+  });
+  return tags;
+}
+
+// The video's chapters on the file's timeline, in seconds. With clips only
+// the parts inside the kept ranges remain, moved to where their clip starts
+// in the file.
+function fileChapters(info, clips = []) {
+  const chapters = (info.chapters || [])
+    .filter(chapter => Number.isFinite(chapter.start_time) && Number.isFinite(chapter.end_time))
+    .filter(chapter => chapter.end_time > chapter.start_time)
+    .map((chapter, index) => ({
+      start: chapter.start_time,
+      end: chapter.end_time,
+      title: chapter.title || `Chapter ${index + 1}`
+    }));
+  if (!clips.length) return chapters;
+
+  const result = [];
+  let offset = 0;
+  clips.forEach(clip => {
+    const clipEnd = clip.end === null ? (info.duration || Infinity) : clip.end;
+    chapters.forEach(chapter => {
+      const start = Math.max(chapter.start, clip.start);
+      const end = Math.min(chapter.end, clipEnd);
+      if (end > start) result.push({ start: offset + start - clip.start, end: offset + end - clip.start, title: chapter.title });
+    });
+    offset += clipEnd - clip.start;
+  });
+  return result;
+}
+
+// Escapes a value for an ffmpeg ffmetadata file
+function escapeFFMetadata(value) {
+  return String(value).replace(/[=;#\\\n]/g, ch => `\\${ch}`);
+}
+
+// ffmetadata file with global tags and chapters; ffmpeg reads it as an
+// extra input, which keeps long descriptions off the command line
+function ffmetadata(tags, chapters = []) {
+  const lines = [';FFMETADATA1'];
+  Object.entries(tags).forEach(([key, value]) => lines.push(`${key}=${escapeFFMetadata(value)}`));
+  chapters.forEach(chapter => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeFFMetadata(chapter.title)}`
+    );
+  });
+  return `${lines.join('\n')}\n`;
+}
+
+// Info JSON to keep next to the file, like yt-dlp's --write-info-json but
+// without request headers, cookies and yt-dlp's internal (__) fields
+function archiveInfo(info) {
+  return JSON.stringify(info, (key, value) => {
+    if (PRIVATE_INFO_KEYS.includes(key) || key.startsWith('__')) return undefined;
+    return value;
+  }, 2);
+}
+
+module.exports = {
+  formatUploadDate,
+  fileTags,
+  fileChapters,
+  escapeFFMetadata,
+  ffmetadata,
+  archiveInfo
+};
@@ -0,0 +1,588 @@
+// JSON schemas of the /api/v1 requests and responses, and the OpenAPI
+// document built from them. The request schemas are the ones the routes
+// validate with (lib/schema.js), so the document can't drift from them.
+
+const { QUALITY_RULES, AUDIO_CODECS, CONTAINERS, BITRATE_PRESETS, MAX_RETRIES, ITAG_PATTERN } = require('./formats');
+const { MAX_CLIPS } = require('./clips');
+const { SUBTITLE_MODES, SUBTITLE_FORMATS, MAX_SUBTITLE_LANGUAGES } = require('./subtitles');
+const { PRESETS, MAX_PRESETS } = require('./presets');
+const { SORT_FIELDS, MAX_PAGE_SIZE } = require('./library');
+const { STATES } = require('./jobQueue');
+const { ERROR_CODES } = require('./apiErrors');
+
+const url = { type: 'string', format: 'uri', maxLength: 2048, description: 'http(s) URL of a video, playlist or channel' };
+const timestamp = {
+  type: ['string', 'number'],
+  description: 'Seconds, or [[h:]mm:]ss(.ms) such as "1:30"'
+};
+const boolean = (description) => ({ type: 'boolean', description });
+const itag = { type: ['string', 'integer'], minimum: 0, pattern: ITAG_PATTERN.source };
+
+const clipRange = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    start: timestamp,
+    end: { ...timestamp, type: ['string', 'number', 'null'], description: 'Left out or null: until the end of the video' }
+  }
+};
+
+const presetNames = {
+  type: 'array',
+  maxItems: MAX_PRESETS,
+  uniqueItems: true,
+  items: { enum: Object.keys(PRESETS) },
+  description: 'Post-processing presets run after the download, in this order (see GET /presets)'
+};
+
+// Request bodies and query strings
+const requests = {
+  InfoRequest: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['url'],
+    properties: {
+      url,
+      playlist: boolean('true lists the entries of a playlist or channel; false never does. Left out: detected from the URL'),
+      refresh: boolean('Skip the info cache')
+    }
+  },
+
+  DownloadRequest: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['url'],
+    properties: {
+      url,
+      title: { type: 'string', maxLength: 500, description: 'Shown in the queue until the video info is known' },
+      mode: { enum: ['video', 'audio'], default: 'video' },
+      quality: { enum: Object.keys(QUALITY_RULES), description: 'Resolution cap, when no videoItag is given' },
+      videoItag: { ...itag, description: 'yt-dlp format id of the video stream' },
+      audioItag: { ...itag, description: 'yt-dlp format id of the audio stream' },
+      proMode: boolean('Enables format, bitrate and retries; specific itags are then checked against the container'),
+      format: { enum: Object.keys(CONTAINERS), default: 'mp4', description: 'Video container (proMode)' },
+      bitrate: { enum: Object.keys(BITRATE_PRESETS), description: 'Audio bitrate preset of video downloads (proMode)' },
+      retries: { type: 'integer', minimum: 1, maximum: MAX_RETRIES, description: 'Download attempts (proMode)' },
+      audioCodec: { enum: Object.keys(AUDIO_CODECS), default: 'mp3', description: 'Audio downloads' },
+      audioBitrate: { type: 'integer', minimum: 1, description: 'kbps; one of the codec\'s bitrates (see /info audioTargets)' },
+      start: timestamp,
+      end: clipRange.properties.end,
+      ranges: { type: 'array', maxItems: MAX_CLIPS, items: clipRange, description: 'Clip ranges to keep, instead of start/end' },
+      subtitles: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['mode', 'languages'],
+        properties: {
+          mode: { enum: SUBTITLE_MODES },
+          format: { enum: SUBTITLE_FORMATS, default: 'srt', description: 'Sidecar files only; embedding and burning use SRT' },
+          languages: {
+            type: 'array',
+            minItems: 1,
+            maxItems: MAX_SUBTITLE_LANGUAGES,
+            items: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,20}$' }
+          },
+          includeAuto: boolean('Use auto-generated captions too')
+        }
+      },
+      infoJson: boolean('Keep the video\'s info JSON as a .info.json sidecar'),
+      squareCover: boolean('Crop the cover art of audio files to a square'),
+      postprocess: presetNames,
+      force: boolean('Download even if the same file is in the library or being downloaded')
+    }
+  },
+
+  BatchRequest: {
+    type: 'object',
+    additionalProperties: false,
+    required: ['entries'],
+    properties: {
+      entries: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['url'],
+          properties: {
+            url,
+            title: { type: 'string', maxLength: 500 },
+            index: { type: 'integer', minimum: 1, description: 'Position in the playlist' }
+          }
+        }
+      },
+      quality: { enum: Object.keys(QUALITY_RULES), default: 'best' },
+      title: { type: 'string', maxLength: 500, description: 'Name of the playlist' },
+      infoJson: boolean('Keep each video\'s info JSON as a .info.json sidecar'),
+      postprocess: presetNames
+    }
+  },
+
+  JobsQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      batch: { type: 'string', description: 'Only the jobs of this batch' }
+    }
+  },
+
+  LibraryQuery: {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+      q: { type: 'string', description: 'Words to find in the title, uploader or URL' },
+      sort: { enum: Object.keys(SORT_FIELDS), default: 'date' },
+      order: { enum: ['asc', 'desc'], description: 'Default: newest first for date, A-Z otherwise' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 50 },
+      offset: { type: 'integer', minimum: 0, default: 0 }
+    }
+  }
+};
+
+const stringOrNull = { type: ['string', 'null'] };
+const numberOrNull = { type: ['number', 'null'] };
+
+// Response bodies
+const responses = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: {
+          code: { enum: Object.keys(ERROR_CODES) },
+          message: { type: 'string' },
+          errors: {
+            type: 'array',
+            description: 'VALIDATION_FAILED: every problem found',
+            items: {
+              type: 'object',
+              properties: { path: { type: 'string', example: 'body.subtitles.languages[0]' }, message: { type: 'string' } }
+            }
+          },
+          reason: { enum: ['login', 'geo'], description: 'LOGIN_REQUIRED and GEO_BLOCKED' },
+          limit: { type: 'string', description: 'The limit that refused the request (rate, lookups, downloads, bytes, media, disk)' },
+          retryAfter: { type: 'integer', description: 'Seconds until trying again may work; also sent as Retry-After' },
+          toolMessage: { type: 'string', description: 'yt-dlp\'s own error line' }
+        }
+      }
+    }
+  },
+
+  Stats: {
+    type: ['object', 'null'],
+    description: 'Transfer stats while downloading, media time while post-processing',
+    properties: {
+      downloadedBytes: numberOrNull,
+      totalBytes: numberOrNull,
+      speed: { ...numberOrNull, description: 'Bytes per second' },
+      eta: { ...numberOrNull, description: 'Seconds left' },
+      fragmentIndex: numberOrNull,
+      fragmentCount: numberOrNull,
+      processedSeconds: numberOrNull,
+      totalSeconds: numberOrNull,
+      speedFactor: { ...numberOrNull, description: 'ffmpeg speed, e.g. 2.5 for 2.5x real time' }
+    }
+  },
+
+  Job: {
+    type: 'object',
+    required: ['id', 'url', 'state', 'progress'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      url: { type: 'string' },
+      title: { type: 'string' },
+      state: { enum: Object.values(STATES) },
+      progress: { type: 'number', minimum: 0, maximum: 100, description: 'Of the current phase' },
+      status: { type: 'string', description: 'Human-readable phase, e.g. "Downloading video stream..."' },
+      phase: { ...stringOrNull, description: 'video, audio, subtitles, merge, convert, remux, postprocess, preset or metadata' },
+      stats: { $ref: '#/components/schemas/Stats' },
+      options: { type: 'object', description: 'The validated download options' },
+      batchId: stringOrNull,
+      batchTitle: stringOrNull,
+      ownerId: stringOrNull,
+      file: { ...stringOrNull, description: 'Name of the finished file' },
+      sidecars: { type: 'array', items: { type: 'string' } },
+      downloadUrl: { ...stringOrNull, description: 'Finished jobs: where to fetch the file' },
+      error: {
+        type: ['object', 'null'],
+        description: 'Failed jobs: why, with the same codes as request errors',
+        properties: { code: { enum: Object.keys(ERROR_CODES) }, message: { type: 'string' }, toolMessage: { type: 'string' } }
+      },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      startedAt: { type: 'string', format: 'date-time' }
+    }
+  },
+
+  LibraryEntry: {
+    type: 'object',
+    required: ['id', 'file'],
+    properties: {
+      id: { type: 'string', format: 'uuid', description: 'The id of the job that downloaded it' },
+      file: { type: 'string' },
+      sidecars: { type: 'array', items: { type: 'string' } },
+      url: { type: 'string' },
+      title: { type: 'string' },
+      uploader: stringOrNull,
+      channel: stringOrNull,
+      uploadDate: { ...stringOrNull, format: 'date' },
+      extractor: stringOrNull,
+      videoId: stringOrNull,
+      thumbnail: stringOrNull,
+      mode: { enum: ['video', 'audio'] },
+      format: { type: 'string', description: 'File extension' },
+      size: { type: 'integer', description: 'Bytes' },
+      durationSeconds: numberOrNull,
+      ownerId: stringOrNull,
+      createdAt: { type: 'string', format: 'date-time' },
+      lastAccessedAt: { type: ['string', 'null'], format: 'date-time' },
+      downloadUrl: { type: 'string' },
+      previewUrl: { type: 'string' },
+      sidecarUrls: { type: 'array', items: { type: 'string' } }
+    }
+  },
+
+  VideoInfo: {
+    type: 'object',
+    properties: {
+      type: { const: 'video' },
+      title: { type: 'string' },
+      uploader: { type: 'string' },
+      thumbnail: { type: 'string' },
+      duration: { type: 'string', example: '3:25' },
+      durationSeconds: { type: 'number' },
+      views: { type: 'string' },
+      date: { type: 'string' },
+      formats: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            itag: { type: 'string' },
+            resolution: { type: 'string' },
+            codec: { type: 'string' },
+            container: { type: 'string' },
+            sizeMB: { type: 'number' },
+            bitrate: { type: 'number' },
+            hasAudio: { type: 'boolean' }
+          }
+        }
+      },
+      audioFormats: {
+        type: 'array',
+        items: { type: 'object', properties: { itag: { type: 'string' }, bitrate: { type: 'number' }, container: { type: 'string' } } }
+      },
+      subtitles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { lang: { type: 'string' }, name: { type: 'string' }, auto: { type: 'boolean' }, formats: { type: 'array', items: { type: 'string' } } }
+        }
+      },
+      audioTargets: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { codec: { type: 'string' }, bitrates: { type: 'array', items: { type: 'integer' } }, lossless: { type: 'boolean' } }
+        }
+      }
+    }
+  },
+
+  Playlist: {
+    type: 'object',
+    properties: {
+      type: { const: 'playlist' },
+      id: { type: 'string' },
+      extractor: stringOrNull,
+      title: { type: 'string' },
+      uploader: { type: 'string' },
+      thumbnail: { type: 'string' },
+      entryCount: { type: 'integer' },
+      totalDuration: { type: 'string' },
+      qualityRules: { type: 'array', items: { type: 'string' } },
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            index: { type: 'integer' },
+            id: { type: 'string' },
+            url: { type: 'string' },
+            title: { type: 'string' },
+            duration: { type: 'string' },
+            durationSeconds: { type: 'number' },
+            thumbnail: { type: 'string' }
+          }
+        }
+      }
+    }
+  },
+
+  Preset: {
+    type: 'object',
+    properties: {
+      name: { enum: Object.keys(PRESETS) },
+      label: { type: 'string' },
+      modes: { type: 'array', items: { enum: ['video', 'audio'] } },
+      output: { enum: ['replace', 'sidecar'], description: 'replace turns the file into a new one; sidecar adds a file next to it' }
+    }
+  },
+
+  Health: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: { enum: ['ok', 'degraded'] },
+      tools: { type: 'object', description: 'Admins only: yt-dlp, ffmpeg and ffprobe versions and paths' },
+      config: { type: 'object', description: 'Admins only: the effective non-secret settings' },
+      infoCache: { type: 'object' },
+      infoLookups: { type: 'object' }
+    }
+  }
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ content: { 'application/json': { schema } } });
+const ok = (description, schema) => ({ description, ...json(schema) });
+const error = (description) => ({ description, ...json(ref('Error')) });
+
+const idParameter = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+
+// Query parameters of a query schema
+function queryParameters(schema) {
+  return Object.entries(schema.properties).map(([name, property]) => ({
+    name,
+    in: 'query',
+    required: false,
+    ...(property.description ? { description: property.description } : {}),
+    schema: property
+  }));
+}
+
+const commonErrors = {
+  400: error('VALIDATION_FAILED'),
+  401: error('UNAUTHENTICATED')
+};
+const lookupErrors = {
+  ...commonErrors,
+  403: error('LOGIN_REQUIRED or GEO_BLOCKED'),
+  404: error('VIDEO_UNAVAILABLE'),
+  429: error('RATE_LIMITED, SERVER_BUSY or QUOTA_EXCEEDED; see Retry-After'),
+  502: error('EXTRACTION_FAILED')
+};
+const jobErrors = {
+  401: error('UNAUTHENTICATED'),
+  404: error('NOT_FOUND'),
+  409: error('INVALID_STATE')
+};
+
+function jobAction(action, description) {
+  return {
+    post: {
+      tags: ['jobs'],
+      operationId: `${action}Job`,
+      summary: description,
+      parameters: [idParameter('id', 'Job id')],
+      responses: { 200: ok('The job', ref('Job')), ...jobErrors }
+    }
+  };
+}
+
+// The OpenAPI 3.1 document of /api/v1
+function openApiDocument({ version = '1.0.0', serverUrl = '/api/v1' } = {}) {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'ultra_downloader API',
+      version,
+      description: 'Video and audio downloads with yt-dlp and ffmpeg. Errors are always '
+        + '{ "error": { "code", "message" } } with one of the codes listed in the Error schema. '
+        + 'With accounts enabled, send a session cookie or an API token (Authorization: Bearer).'
+    },
+    servers: [{ url: serverUrl }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }, {}],
+    tags: [
+      { name: 'info', description: 'Video and playlist info' },
+      { name: 'jobs', description: 'Download jobs and their progress' },
+      { name: 'library', description: 'Finished downloads' },
+      { name: 'server', description: 'Health and this document' }
+    ],
+    paths: {
+      '/health': {
+        get: {
+          tags: ['server'],
+          operationId: 'getHealth',
+          summary: 'Whether yt-dlp and ffmpeg work; details for admins',
+          security: [],
+          responses: { 200: ok('Healthy', ref('Health')), 503: ok('yt-dlp or ffmpeg is missing', ref('Health')) }
+        }
+      },
+      '/openapi.json': {
+        get: {
+          tags: ['server'],
+          operationId: 'getOpenApi',
+          summary: 'This document',
+          security: [],
+          responses: { 200: ok('OpenAPI 3.1 document', { type: 'object' }) }
+        }
+      },
+      '/info': {
+        post: {
+          tags: ['info'],
+          operationId: 'getInfo',
+          summary: 'Formats, subtitles and details of a video, or the entries of a playlist',
+          requestBody: { required: true, ...json(ref('InfoRequest')) },
+          responses: { 200: ok('Video or playlist', { oneOf: [ref('VideoInfo'), ref('Playlist')] }), ...lookupErrors }
+        }
+      },
+      '/presets': {
+        get: {
+          tags: ['jobs'],
+          operationId: 'listPresets',
+          summary: 'Post-processing presets for DownloadRequest.postprocess',
+          responses: {
+            200: ok('Presets', { type: 'object', properties: { presets: { type: 'array', items: ref('Preset') } } }),
+            401: error('UNAUTHENTICATED')
+          }
+        }
+      },
+      '/jobs': {
+        get: {
+          tags: ['jobs'],
+          operationId: 'listJobs',
+          summary: 'Jobs of the signed-in user (all jobs for admins), oldest first',
+          parameters: queryParameters(requests.JobsQuery),
+          responses: {
+            200: ok('Jobs', {
+              type: 'object',
+              properties: { jobs: { type: 'array', items: ref('Job') }, concurrency: { type: 'integer' } }
+            }),
+            ...commonErrors
+          }
+        },
+        post: {
+          tags: ['jobs'],
+          operationId: 'createJob',
+          summary: 'Queue a download',
+          description: 'If the same video with the same options is already in the library, or being downloaded, '
+            + 'that entry or job is returned instead (unless force is set).',
+          requestBody: { required: true, ...json(ref('DownloadRequest')) },
+          responses: {
+            200: ok('Already downloaded (entry) or being downloaded (job, joined)', {
+              type: 'object',
+              properties: { entry: ref('LibraryEntry'), job: ref('Job'), joined: { const: true } }
+            }),
+            202: ok('Queued', { type: 'object', required: ['job'], properties: { job: ref('Job') } }),
+            ...lookupErrors,
+            400: error('VALIDATION_FAILED, UNSUPPORTED_URL, FORMAT_UNAVAILABLE or MEDIA_TOO_LARGE'),
+            507: error('INSUFFICIENT_STORAGE')
+          }
+        },
+        delete: {
+          tags: ['jobs'],
+          operationId: 'clearJobs',
+          summary: 'Remove finished, failed and cancelled jobs from the list',
+          responses: {
+            200: ok('Number of jobs removed', { type: 'object', properties: { removed: { type: 'integer' } } }),
+            401: error('UNAUTHENTICATED')
+          }
+        }
+      },
+      '/jobs/batch': {
+        post: {
+          tags: ['jobs'],
+          operationId: 'createBatch',
+          summary: 'Queue playlist entries as separate jobs sharing a batch id',
+          requestBody: { required: true, ...json(ref('BatchRequest')) },
+          responses: {
+            202: ok('Queued', {
+              type: 'object',
+              properties: { batchId: { type: 'string', format: 'uuid' }, jobs: { type: 'array', items: ref('Job') } }
+            }),
+            ...commonErrors,
+            400: error('VALIDATION_FAILED or UNSUPPORTED_URL'),
+            429: error('RATE_LIMITED or QUOTA_EXCEEDED'),
+            507: error('INSUFFICIENT_STORAGE')
+          }
+        }
+      },
+      '/jobs/{id}': {
+        get: {
+          tags: ['jobs'],
+          operationId: 'getJob',
+          summary: 'One job',
+          parameters: [idParameter('id', 'Job id')],
+          responses: { 200: ok('The job', ref('Job')), 401: error('UNAUTHENTICATED'), 404: error('NOT_FOUND') }
+        },
+        delete: {
+          tags: ['jobs'],
+          operationId: 'removeJob',
+          summary: 'Remove a job that is not running from the list',
+          parameters: [idParameter('id', 'Job id')],
+          responses: { 204: { description: 'Removed' }, ...jobErrors }
+        }
+      },
+      '/jobs/{id}/cancel': jobAction('cancel', 'Cancel a job and delete its partial files'),
+      '/jobs/{id}/pause': jobAction('pause', 'Pause a queued or downloading job'),
+      '/jobs/{id}/resume': jobAction('resume', 'Queue a paused job again'),
+      '/jobs/{id}/events': {
+        get: {
+          tags: ['jobs'],
+          operationId: 'jobEvents',
+          summary: 'Progress of a job as server-sent events',
+          description: 'Each "progress" event carries { jobId, state, progress, status, phase, stats }; the last one '
+            + 'has complete, cancelled or error set and the stream ends.',
+          parameters: [idParameter('id', 'Job id')],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            401: error('UNAUTHENTICATED'),
+            404: error('NOT_FOUND')
+          }
+        }
+      },
+      '/library': {
+        get: {
+          tags: ['library'],
+          operationId: 'listLibrary',
+          summary: 'Search and page through finished downloads',
+          parameters: queryParameters(requests.LibraryQuery),
+          responses: {
+            200: ok('A page of entries', {
+              type: 'object',
+              properties: { entries: { type: 'array', items: ref('LibraryEntry') }, total: { type: 'integer' } }
+            }),
+            ...commonErrors
+          }
+        }
+      },
+      '/library/{id}': {
+        get: {
+          tags: ['library'],
+          operationId: 'getLibraryEntry',
+          summary: 'One finished download',
+          parameters: [idParameter('id', 'Library entry id')],
+          responses: { 200: ok('The entry', ref('LibraryEntry')), 401: error('UNAUTHENTICATED'), 404: error('NOT_FOUND') }
+        },
+        delete: {
+          tags: ['library'],
+          operationId: 'removeLibraryEntry',
+          summary: 'Delete a finished download and its files',
+          parameters: [idParameter('id', 'Library entry id')],
+          responses: { 204: { description: 'Deleted' }, 401: error('UNAUTHENTICATED'), 404: error('NOT_FOUND') }
+        }
+      }
+    },
+    components: {
+      schemas: { ...requests, ...responses },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API token from POST /api/tokens' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: 'ud_session' }
+      }
+    }
+  };
+}
+
+module.exports = { requests, openApiDocument };
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpeg');
+
+const MAX_PRESETS = 3;
+const PREVIEW_SECONDS = 10;
+
+// Audio encoder per output extension, for presets that re-encode the audio
+const AUDIO_ENCODERS = {
+  mp4: ['-c:a', 'aac', '-b:a', '192k'],
+  mkv: ['-c:a', 'aac', '-b:a', '192k'],
+  m4a: ['-c:a', 'aac', '-b:a', '192k'],
+  webm: ['-c:a', 'libopus', '-b:a', '160k'],
+  opus: ['-c:a', 'libopus', '-b:a', '160k'],
+  mp3: ['-c:a', 'libmp3lame', '-q:a', '2'],
+  flac: ['-c:a', 'flac']
+};
+
+// Named ffmpeg passes run after the download. A 'replace' preset turns the
+// file into a new one (`ext` may change the container); a 'sidecar' preset
+// leaves the file alone and writes `<id>.<suffix>` next to it. `seconds`
+// caps how much of the file the pass reads, for progress.
+const PRESETS = {
+  'mobile-720p': {
+    label: 'H.264 720p for mobile',
+    modes: ['video'],
+    output: 'replace',
+    ext: () => 'mp4',
+    args: () => [
+      '-map', '0:v:0', '-map', '0:a:0?',
+      '-vf', "scale=-2:'min(720,ih)'",
+      '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '23', '-pix_fmt', 'yuv420p',
+      '-c:a', 'aac', '-b:a', '128k', '-ac', '2',
+      '-movflags', '+faststart'
+    ]
+  },
+  loudnorm: {
+    label: 'EBU R128 loudness-normalized audio',
+    modes: ['video', 'audio'],
+    output: 'replace',
+    ext: (ext) => ext,
+    // Video and cover art are copied; only the audio is re-encoded
+    args: (ext) => [
+      '-map', '0', '-c', 'copy',
+      '-af', 'loudnorm=I=-23:TP=-1:LRA=7', '-ar', '48000',
+      ...(AUDIO_ENCODERS[ext] || AUDIO_ENCODERS.mp4)
+    ]
+  },
+  'preview-gif': {
+    label: `GIF preview of the first ${PREVIEW_SECONDS}s`,
+    modes: ['video'],
+    output: 'sidecar',
+    suffix: 'preview.gif',
+    seconds: PREVIEW_SECONDS,
+    // A palette made from the clip itself keeps GIF banding down
+    args: () => [
+      '-t', String(PREVIEW_SECONDS), '-map', '0:v:0',
+      '-vf', 'fps=10,scale=480:-2:flags=lanczos,split[a][b];[a]palettegen[p];[b][p]paletteuse',
+      '-loop', '0'
+    ]
+  },
+  'preview-webp': {
+    label: `WebP preview of the first ${PREVIEW_SECONDS}s`,
+    modes: ['video'],
+    output: 'sidecar',
+    suffix: 'preview.webp',
+    seconds: PREVIEW_SECONDS,
+    args: () => [
+      '-t', String(PREVIEW_SECONDS), '-map', '0:v:0',
+      '-vf', 'fps=15,scale=480:-2:flags=lanczos',
+      '-c:v', 'libwebp', '-quality', '70', '-loop', '0'
+    ]
+  },
+  'strip-audio': {
+    label: 'Strip audio',
+    modes: ['video'],
+    output: 'replace',
+    ext: (ext) => ext,
+    args: () => ['-map', '0', '-map', '-0:a', '-c', 'copy']
+  }
+};
+
+// Presets as listed by /api/presets
+function listPresets() {
+  return Object.entries(PRESETS).map(([name, preset]) => ({
+    name,
+    label: preset.label,
+    modes: preset.modes,
+    output: preset.output
+  }));
+}
+
+// Reads `postprocess: ['loudnorm', ...]` from a download request. Returns
+// { presets } (empty when none were asked for) or { error }. Presets run
+// in the order given.
+function parsePresetOptions(body, options) {
+  const requested = body.postprocess;
+  if (requested === undefined || requested === null) return { presets: [] };
+  if (!Array.isArray(requested)) return { error: 'postprocess must be a list of preset names' };
+
+  const presets = Array.from(new Set(requested));
+  if (presets.length > MAX_PRESETS) return { error: `At most ${MAX_PRESETS} post-processing presets are allowed` };
+
+  for (const name of presets) {
+    const preset = typeof name === 'string' && Object.prototype.hasOwnProperty.call(PRESETS, name) ? PRESETS[name] : null;
+    if (!preset) return { error: `Unknown post-processing preset: ${name}. Available: ${Object.keys(PRESETS).join(', ')}` };
+    if (!preset.modes.includes(options.mode)) return { error: `"${preset.label}" only works for ${preset.modes.join(' and ')} downloads` };
+  }
+  return { presets };
+}
+
+// Runs one preset on `filePath` (`<dir>/<id>.<ext>`). `durationSeconds` is
+// the file's length, for progress; `onProgress({ percent, stats })` is
+// called with every -progress report. Resolves with { file, sidecar }: the
+// new main file name, or the name of the sidecar written.
+async function runPreset(ffmpegPath, name, filePath, { durationSeconds = null, signal, onProgress = () => {} } = {}) {
+  const preset = PRESETS[name];
+  const { dir, name: stem, ext: dotExt } = path.parse(filePath);
+  const ext = dotExt.slice(1);
+  const sidecar = preset.output === 'sidecar';
+  const outputName = sidecar ? `${stem}.${preset.suffix}` : `${stem}.${preset.ext(ext)}`;
+  const tempPath = path.join(dir, `${stem}.preset${path.extname(outputName)}`);
+
+  const total = preset.seconds && durationSeconds
+    ? Math.min(preset.seconds, durationSeconds)
+    : (preset.seconds || durationSeconds);
+
+  try {
+    await runFfmpeg(ffmpegPath, ['-i', filePath, ...preset.args(ext), tempPath], {
+      signal,
+      onProgress: ({ seconds, speed, done }) => {
+        let percent = null;
+        if (done) percent = 100;
+        else if (total && seconds !== null) percent = Math.min(99.9, Math.round(seconds / total * 1000) / 10);
+        onProgress({
+          percent,
+          stats: {
+            processedSeconds: seconds,
+            totalSeconds: total || null,
+            speedFactor: speed,
+            eta: speed && total && seconds !== null ? Math.max(0, Math.round((total - seconds) / speed)) : null
+          }
+        });
+      }
+    });
+    fs.renameSync(tempPath, path.join(dir, outputName));
+  } finally {
+    fs.rmSync(tempPath, { force: true });
+  }
+
+  if (!sidecar && outputName !== path.basename(filePath)) fs.rmSync(filePath, { force: true });
+  return { file: outputName, sidecar };
+}
+
+module.exports = { PRESETS, MAX_PRESETS, listPresets, parsePresetOptions, runPreset };
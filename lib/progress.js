@@ -0,0 +1,167 @@
+// Structured yt-dlp progress. yt-dlp prints one JSON line per progress hook
+// through --progress-template; the tracker turns those into job updates with
+// the current phase, per-stream transfer stats and an overall percentage.
+
+const DOWNLOAD_PREFIX = 'ultra-progress:';
+const POSTPROCESS_PREFIX = 'ultra-postprocess:';
+
+// Share of the overall bar each phase covers. A video-only stream is
+// followed by a separate audio stream; anything else is a single stream.
+const BANDS = {
+  split: { video: [0, 70], audio: [70, 90] },
+  single: { video: [0, 90], audio: [0, 90] }
+};
+const POSTPROCESS_PROGRESS = 90;
+const METADATA_PROGRESS = 95;
+
+const PHASE_STATUS = {
+  video: 'Downloading video stream...',
+  audio: 'Downloading audio stream...',
+  subtitles: 'Downloading subtitles...',
+  merge: 'Merging streams...',
+  convert: 'Converting audio...',
+  remux: 'Remuxing video...',
+  postprocess: 'Post-processing...',
+  metadata: 'Embedding metadata...'
+};
+
+// yt-dlp postprocessor names (as reported in progress.postprocessor)
+const POSTPROCESSOR_PHASES = {
+  Merger: 'merge',
+  ExtractAudio: 'convert',
+  VideoRemuxer: 'remux',
+  VideoConvertor: 'remux'
+};
+
+function progressArgs() {
+  return [
+    '--progress-template',
+    `download:${DOWNLOAD_PREFIX}{"progress":%(progress.{status,downloaded_bytes,total_bytes,total_bytes_estimate,speed,eta,fragment_index,fragment_count,filename})j,"info":%(info.{format_id,vcodec,acodec})j}`,
+    '--progress-template',
+    `postprocess:${POSTPROCESS_PREFIX}%(progress.{status,postprocessor})j`
+  ];
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return null;
+  }
+}
+
+function numberOrNull(value) {
+  const n = Number(value);
+  return value === null || value === undefined || !Number.isFinite(n) ? null : n;
+}
+
+function hasCodec(codec) {
+  return !!codec && codec !== 'none';
+}
+
+// One tracker per download attempt. `parse(line)` returns a patch for
+// ctx.update, or null for lines that carry no progress.
+function createProgressTracker() {
+  let plan = null; // 'split' or 'single', fixed by the first stream
+  let phase = null;
+  let overall = 0;
+
+  function streamPhase(info, filename) {
+    if (/\.(vtt|srt|ass|ttml|srv\d|json3)$/i.test(filename || '')) return 'subtitles';
+    if (!hasCodec(info.vcodec) && hasCodec(info.acodec)) return 'audio';
+    return 'video';
+  }
+
+  function parseDownload(data) {
+    const progress = data.progress || {};
+    const info = data.info || {};
+    const streamType = streamPhase(info, progress.filename);
+
+    const stats = {
+      downloadedBytes: numberOrNull(progress.downloaded_bytes),
+      totalBytes: numberOrNull(progress.total_bytes) || numberOrNull(progress.total_bytes_estimate),
+      speed: numberOrNull(progress.speed),
+      eta: numberOrNull(progress.eta),
+      fragmentIndex: numberOrNull(progress.fragment_index),
+      fragmentCount: numberOrNull(progress.fragment_count)
+    };
+
+    // Subtitles are tiny and don't move the overall bar
+    if (streamType === 'subtitles') {
+      phase = 'subtitles';
+      return { phase, status: PHASE_STATUS.subtitles, stats };
+    }
+
+    if (!plan) plan = streamType === 'video' && !hasCodec(info.acodec) ? 'split' : 'single';
+    phase = streamType;
+
+    let fraction = null;
+    if (progress.status === 'finished') {
+      fraction = 1;
+    } else if (stats.totalBytes && stats.downloadedBytes !== null) {
+      fraction = Math.min(1, stats.downloadedBytes / stats.totalBytes);
+    } else if (stats.fragmentIndex && stats.fragmentCount) {
+      fraction = Math.min(1, stats.fragmentIndex / stats.fragmentCount);
+    }
+
+    const [from, to] = BANDS[plan][phase];
+    if (fraction !== null) overall = Math.max(overall, from + (to - from) * fraction);
+
+    return {
+      phase,
+      status: PHASE_STATUS[phase],
+      progress: Math.round(overall * 10) / 10,
+      stats
+    };
+  }
+
+  function parsePostprocess(data) {
+    if (data.status !== 'started') return null;
+    const next = POSTPROCESSOR_PHASES[data.postprocessor];
+    // Quieter postprocessors (moving files, fixups) keep the current phase
+    if (!next || next === phase) return null;
+
+    phase = next;
+    overall = Math.max(overall, POSTPROCESS_PROGRESS);
+    return { phase, status: PHASE_STATUS[phase], progress: overall, stats: null };
+  }
+
+  function parse(line) {
+    const text = line.trim();
+    if (text.startsWith(DOWNLOAD_PREFIX)) {
+      const data = parseJson(text.slice(DOWNLOAD_PREFIX.length));
+      return data ? parseDownload(data) : null;
+    }
+    if (text.startsWith(POSTPROCESS_PREFIX)) {
+      const data = parseJson(text.slice(POSTPROCESS_PREFIX.length));
+      return data ? parsePostprocess(data) : null;
+    }
+    return null;
+  }
+
+  return { parse };
+}
+
+// Splits a stream into complete lines; yt-dlp output chunks can end mid-line
+function onLines(stream, handler) {
+  let buffered = '';
+  stream.on('data', (chunk) => {
+    buffered += chunk.toString();
+    const lines = buffered.split(/\r?\n/);
+    buffered = lines.pop();
+    lines.forEach(line => { if (line.trim()) handler(line); });
+  });
+  stream.on('end', () => {
+    if (buffered.trim()) handler(buffered);
+    buffered = '';
+  });
+}
+
+module.exports = {
+  PHASE_STATUS,
+  POSTPROCESS_PROGRESS,
+  METADATA_PROGRESS,
+  progressArgs,
+  createProgressTracker,
+  onLines
+};
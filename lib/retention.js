@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+// Names of files a download leaves behind while it runs: yt-dlp's partial
+// and fragment files, ffmpeg's temporary output (clips, subtitles, presets,
+// metadata) and downloaded cover art
+const TEMP_FILE = /(\.part(-Frag\d+)?|\.ytdl|\.temp(\.\w+)?|\.concat\.txt|\.(clip\d+|trimmed|burned|preset)\.\w+)$|^meta_temp_|^thumb_[0-9a-f-]{36}\./i;
+const JOB_FILE = /^([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})[.\-_]/i;
+
+function sizeOf(file) {
+  try {
+    return fs.statSync(file).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+// Keeps the downloads folder in check: library entries older than
+// `maxAgeMs` go, and while the library is larger than `maxTotalBytes` the
+// least recently used entries go. `minFreeBytes` is what new jobs need free
+// on the disk. Limits of 0 are off. `isJobUnfinished(id)` protects the
+// files of queued, running and paused jobs from the orphan sweep, and
+// `isJobAbandoned(id)` (failed or cancelled) lets it delete all of a job's
+// files; `onRemove(entry)` is told about every entry retention deletes.
+function createRetention({ dir, library, isJobUnfinished, isJobAbandoned, onRemove = () => {}, maxAgeMs, maxTotalBytes, minFreeBytes }) {
+  let lastRun = null;
+
+  function entrySize(entry) {
+    return library.files(entry).reduce((sum, name) => sum + sizeOf(path.join(dir, name)), 0);
+  }
+
+  // Free and total bytes of the disk holding `dir`; null where unsupported
+  function disk() {
+    try {
+      const stats = fs.statfsSync(dir);
+      return { freeBytes: stats.bavail * stats.bsize, totalBytes: stats.blocks * stats.bsize };
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // Error message when there isn't enough free space for another job
+  function checkFreeSpace() {
+    if (!minFreeBytes) return null;
+    const space = disk();
+    if (!space || space.freeBytes >= minFreeBytes) return null;
+    return `Not enough free disk space for new downloads (${formatBytes(space.freeBytes)} free, ${formatBytes(minFreeBytes)} required)`;
+  }
+
+  function removeEntry(entry, reason, result) {
+    const size = entrySize(entry);
+    if (!library.remove(entry.id).ok) return;
+    onRemove(entry);
+    result.removed.push({ id: entry.id, file: entry.file, reason });
+    result.freedBytes += size;
+  }
+
+  // Applies the age and size limits. Entries in `keep` (e.g. the download
+  // that just finished) are never evicted.
+  function enforce({ keep = [] } = {}) {
+    const result = { removed: [], freedBytes: 0 };
+    const now = Date.now();
+    const candidates = () => library.all().filter(entry => !keep.includes(entry.id));
+
+    if (maxAgeMs) {
+      candidates()
+        .filter(entry => now - Date.parse(entry.createdAt) > maxAgeMs)
+        .forEach(entry => removeEntry(entry, 'age', result));
+    }
+
+    if (maxTotalBytes) {
+      let total = library.all().reduce((sum, entry) => sum + entrySize(entry), 0);
+      const lastUsed = (entry) => Date.parse(entry.lastAccessedAt || entry.createdAt);
+      const byAge = candidates().sort((a, b) => lastUsed(a) - lastUsed(b));
+      for (const entry of byAge) {
+        if (total <= maxTotalBytes) break;
+        total -= entrySize(entry);
+        removeEntry(entry, 'size', result);
+      }
+    }
+
+    return result;
+  }
+
+  // Deletes temporary files no running job owns, and the files of failed
+  // and cancelled jobs. Any other file is kept, even one the library doesn't
+  // know (e.g. downloads from before the library existed); files younger
+  // than `minAgeMs` too, so a sweep while jobs run leaves their temp files
+  // alone.
+  function sweepOrphans({ minAgeMs = 0 } = {}) {
+    const result = { removed: [], freedBytes: 0 };
+    const known = new Set(library.all().flatMap(entry => library.files(entry)));
+    const now = Date.now();
+
+    let names;
+    try {
+      names = fs.readdirSync(dir);
+    } catch (e) {
+      return result;
+    }
+
+    names.forEach(name => {
+      if (known.has(name)) return;
+      const jobMatch = JOB_FILE.exec(name);
+      if (jobMatch && isJobUnfinished(jobMatch[1])) return;
+      if (!TEMP_FILE.test(name) && !(jobMatch && isJobAbandoned(jobMatch[1]))) return;
+
+      const file = path.join(dir, name);
+      let stats;
+      try {
+        stats = fs.statSync(file);
+      } catch (e) {
+        return;
+      }
+      if (!stats.isFile() || now - stats.mtimeMs < minAgeMs) return;
+
+      try {
+        fs.unlinkSync(file);
+        result.removed.push(name);
+        result.freedBytes += stats.size;
+      } catch (e) {
+        console.warn(`Failed to remove orphaned file ${name}:`, e.message);
+      }
+    });
+
+    return result;
+  }
+
+  // Sweep + limits in one go; the result is kept for status()
+  function run({ minAgeMs = 0 } = {}) {
+    const orphans = sweepOrphans({ minAgeMs });
+    const limits = enforce();
+    lastRun = {
+      at: new Date().toISOString(),
+      orphans: orphans.removed,
+      entries: limits.removed,
+      freedBytes: orphans.freedBytes + limits.freedBytes
+    };
+    if (lastRun.freedBytes) {
+      console.log(`Retention freed ${formatBytes(lastRun.freedBytes)} (${orphans.removed.length} orphaned files, ${limits.removed.length} library entries)`);
+    }
+    return lastRun;
+  }
+
+  function status() {
+    const entries = library.all();
+    return {
+      dir,
+      limits: { maxAgeMs, maxTotalBytes, minFreeBytes },
+      usage: {
+        entries: entries.length,
+        usedBytes: entries.reduce((sum, entry) => sum + entrySize(entry), 0)
+      },
+      disk: disk(),
+      acceptingJobs: !checkFreeSpace(),
+      lastRun
+    };
+  }
+
+  return { checkFreeSpace, enforce, sweepOrphans, run, status };
+}
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 ** 3) return `${(bytes / 1024 ** 3).toFixed(1)} GB`;
+  if (bytes >= 1024 ** 2) return `${Math.round(bytes / 1024 ** 2)} MB`;
+  return `${Math.ceil(bytes / 1024)} KB`;
+}
+
+module.exports = { createRetention };
@@ -0,0 +1,103 @@
+// A small JSON Schema validator for request bodies. It covers the keywords
+// the /api/v1 schemas use (type, enum, const, properties, required,
+// additionalProperties, items, min/max for numbers, strings and arrays,
+// pattern, uniqueItems and format "uri"); anything else is ignored.
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describe(value) {
+  return typeof value === 'string' ? `"${value}"` : JSON.stringify(value);
+}
+
+// Returns the problems of `value` as [{ path, message }]; empty when valid.
+// Paths look like "body.subtitles.languages[0]".
+function validate(schema, value, at = 'body') {
+  const errors = [];
+  const fail = (message) => errors.push({ path: at, message });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      fail(`must be ${types.join(' or ')}`);
+      return errors;
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) fail(`must be ${describe(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) fail(`must be one of ${schema.enum.map(describe).join(', ')}`);
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format === 'uri' && !isUri(value)) fail('must be an absolute URL');
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) fail('must not repeat items');
+    if (schema.items) value.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined) errors.push({ path: `${at}.${key}`, message: 'is required' });
+    });
+    Object.keys(value).forEach(key => {
+      if (properties[key]) {
+        if (value[key] !== undefined) errors.push(...validate(properties[key], value[key], `${at}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: `${at}.${key}`, message: 'is not a known field' });
+      }
+    });
+  }
+
+  return errors;
+}
+
+// Query strings only carry strings: numbers and booleans the schema asks
+// for are converted first, so "limit=20" validates as an integer
+function coerceQuery(schema, query) {
+  const result = {};
+  Object.entries(query || {}).forEach(([key, value]) => {
+    const property = (schema.properties || {})[key];
+    const types = property && property.type ? [].concat(property.type) : [];
+    if (typeof value === 'string' && (types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+      result[key] = Number(value);
+    } else if (typeof value === 'string' && types.includes('boolean') && ['true', 'false'].includes(value)) {
+      result[key] = value === 'true';
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function isUri(value) {
+  try {
+    return !!new URL(value).protocol;
+  } catch (e) {
+    return false;
+  }
+}
+
+module.exports = { validate, coerceQuery };
@@ -0,0 +1,118 @@
+const fs = require('fs');
+const path = require('path');
+const { runFfmpeg } = require('./ffmpeg');
+
+const SUBTITLE_MODES = ['sidecar', 'embed', 'burn'];
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+const MAX_SUBTITLE_LANGUAGES = 10;
+
+// Soft subtitle codec per video container
+const SUBTITLE_CODECS = {
+  mp4: 'mov_text',
+  webm: 'webvtt',
+  mkv: 'srt'
+};
+
+// Video encoders used when subtitles are burned in (the video has to be re-encoded)
+const BURN_ENCODERS = {
+  mp4: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20'],
+  mkv: ['-c:v', 'libx264', '-preset', 'veryfast', '-crf', '20'],
+  webm: ['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0']
+};
+
+// Available subtitle languages from the yt-dlp info JSON, uploaded tracks
+// first, then auto-generated captions
+function listSubtitles(info) {
+  const collect = (tracks, auto) => Object.keys(tracks || {})
+    .filter(lang => lang !== 'live_chat')
+    .map(lang => ({
+      lang,
+      name: (tracks[lang].find(track => track.name) || {}).name || lang,
+      auto,
+      formats: Array.from(new Set(tracks[lang].map(track => track.ext).filter(Boolean)))
+    }));
+
+  return collect(info.subtitles, false).concat(collect(info.automatic_captions, true));
+}
+
+// Reads `subtitles: { languages, mode, format, includeAuto }` from a download
+// request. Returns { subtitles } (null when none were asked for) or { error }.
+function parseSubtitleOptions(body, options) {
+  const requested = body.subtitles;
+  if (!requested || !requested.mode) return { subtitles: null };
+
+  const { mode } = requested;
+  const format = requested.format || 'srt';
+  const languages = Array.isArray(requested.languages) ? requested.languages : [];
+
+  if (!SUBTITLE_MODES.includes(mode)) return { error: `Unknown subtitle mode: ${mode}` };
+  if (!SUBTITLE_FORMATS.includes(format)) return { error: `Unsupported subtitle format: ${format}` };
+  if (languages.length === 0) return { error: 'Select at least one subtitle language' };
+  if (languages.length > MAX_SUBTITLE_LANGUAGES) return { error: `At most ${MAX_SUBTITLE_LANGUAGES} subtitle languages are allowed` };
+  if (languages.some(lang => !/^[A-Za-z0-9_-]{1,20}$/.test(lang))) return { error: 'Invalid subtitle language code' };
+
+  if (mode !== 'sidecar' && options.mode === 'audio') {
+    return { error: 'Audio-only downloads can only save subtitles as separate files' };
+  }
+  if (mode !== 'sidecar' && options.clips) {
+    return { error: 'Embedded or burned-in subtitles can\'t be combined with clip ranges' };
+  }
+
+  return {
+    subtitles: {
+      mode,
+      // Embedding and burning work from SRT regardless of the sidecar format
+      format: mode === 'sidecar' ? format : 'srt',
+      languages,
+      includeAuto: !!requested.includeAuto
+    }
+  };
+}
+
+function subtitleArgs(subtitles) {
+  const args = ['--write-subs', '--sub-langs', subtitles.languages.join(','), '--convert-subs', subtitles.format];
+  if (subtitles.includeAuto) args.push('--write-auto-subs');
+  return args;
+}
+
+// Subtitle files yt-dlp wrote next to `<id>.<ext>`, as [{ lang, path }]
+function findSubtitleFiles(dir, id) {
+  const pattern = new RegExp(`^${id}\\.([A-Za-z0-9_-]+)\\.(srt|vtt|ass)$`);
+  return fs.readdirSync(dir)
+    .map(file => ({ file, match: file.match(pattern) }))
+    .filter(entry => entry.match)
+    .map(entry => ({ lang: entry.match[1], path: path.join(dir, entry.file) }));
+}
+
+// Re-encodes the video with the subtitle drawn onto the picture. ffmpeg runs
+// from the subtitle's directory so the filter only sees a plain file name
+// (drive letters and colons need awkward escaping inside filtergraphs).
+async function burnSubtitles(ffmpegPath, filePath, subtitlePath, container) {
+  const { dir, name, ext } = path.parse(filePath);
+  const burnedPath = path.join(dir, `${name}.burned${ext}`);
+
+  try {
+    await runFfmpeg(ffmpegPath, [
+      '-i', filePath,
+      '-vf', `subtitles=${path.basename(subtitlePath)}`,
+      ...(BURN_ENCODERS[container] || BURN_ENCODERS.mp4),
+      '-c:a', 'copy',
+      burnedPath
+    ], { cwd: path.dirname(subtitlePath) });
+    fs.renameSync(burnedPath, filePath);
+  } finally {
+    fs.rmSync(burnedPath, { force: true });
+  }
+}
+
+module.exports = {
+  SUBTITLE_MODES,
+  SUBTITLE_FORMATS,
+  MAX_SUBTITLE_LANGUAGES,
+  SUBTITLE_CODECS,
+  listSubtitles,
+  parseSubtitleOptions,
+  subtitleArgs,
+  findSubtitleFiles,
+  burnSubtitles
+};
@@ -0,0 +1,54 @@
+const fs = require('fs');
+const { runFfmpeg } = require('./ffmpeg');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+
+// Thumbnail URLs of a video, best first: largest by resolution, then by
+// yt-dlp's preference (its list is sorted worst to best, so later entries
+// win ties). The single `thumbnail` field is the last resort.
+function thumbnailCandidates(info) {
+  const ranked = (info.thumbnails || [])
+    .map((thumb, index) => ({
+      url: thumb.url,
+      area: (thumb.width || 0) * (thumb.height || 0),
+      preference: Number.isFinite(thumb.preference) ? thumb.preference : 0,
+      index
+    }))
+    .filter(thumb => /^https?:\/\//i.test(thumb.url || ''))
+    .sort((a, b) => (b.area - a.area) || (b.preference - a.preference) || (b.index - a.index))
+    .map(thumb => thumb.url);
+
+  if (info.thumbnail && /^https?:\/\//i.test(info.thumbnail)) ranked.push(info.thumbnail);
+  return Array.from(new Set(ranked));
+}
+
+// Converts a downloaded thumbnail (WebP, AVIF, JPEG, PNG, ...) into a cover
+// every container takes: PNG stays PNG, everything else becomes JPEG.
+// `square` crops the centre square, the usual shape of album art.
+// Resolves with the path of the new file, `<sourcePath without ext>.jpg|png`.
+async function normalizeThumbnail(ffmpegPath, sourcePath, { square = false } = {}) {
+  const header = Buffer.alloc(4);
+  const fd = fs.openSync(sourcePath, 'r');
+  try {
+    fs.readSync(fd, header, 0, 4, 0);
+  } finally {
+    fs.closeSync(fd);
+  }
+  const isPng = header.equals(PNG_SIGNATURE);
+  const destPath = sourcePath.replace(/\.[^./\\]+$/, '') + (isPng ? '.png' : '.jpg');
+
+  const args = ['-i', sourcePath, '-frames:v', '1', '-update', '1'];
+  if (square) args.push('-vf', "crop='min(iw,ih)':'min(iw,ih)'");
+  if (!isPng) args.push('-pix_fmt', 'yuvj420p', '-q:v', '2');
+  args.push('-f', 'image2', '-c:v', isPng ? 'png' : 'mjpeg', destPath);
+
+  try {
+    await runFfmpeg(ffmpegPath, args);
+  } catch (err) {
+    fs.rmSync(destPath, { force: true });
+    throw err;
+  }
+  return destPath;
+}
+
+module.exports = { thumbnailCandidates, normalizeThumbnail };
@@ -0,0 +1,102 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+
+// Where tools usually live when they aren't on PATH
+const COMMON_DIRS = {
+  win32: ['C:\\ffmpeg\\bin', 'C:\\Program Files\\ffmpeg\\bin', 'C:\\yt-dlp'],
+  darwin: ['/opt/homebrew/bin', '/usr/local/bin'],
+  linux: ['/usr/local/bin', '/usr/bin', '/snap/bin']
+};
+
+// Flag that prints each tool's version
+const VERSION_ARGS = {
+  ytDlp: ['--version'],
+  ffmpeg: ['-version'],
+  ffprobe: ['-version']
+};
+
+const COMMAND_NAMES = {
+  ytDlp: 'yt-dlp',
+  ffmpeg: 'ffmpeg',
+  ffprobe: 'ffprobe'
+};
+
+function isExecutable(file) {
+  try {
+    if (!fs.statSync(file).isFile()) return false;
+    if (process.platform !== 'win32') fs.accessSync(file, fs.constants.X_OK);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Looks a command up the way the shell would: every PATH entry (split on the
+// platform's delimiter) plus PATHEXT extensions on Windows, then COMMON_DIRS
+function findExecutable(name, env = process.env) {
+  const dirs = (env.PATH || env.Path || '').split(path.delimiter).filter(Boolean)
+    .concat(COMMON_DIRS[process.platform] || []);
+  const extensions = process.platform === 'win32'
+    ? (env.PATHEXT || '.EXE;.CMD;.BAT').split(';').concat([''])
+    : [''];
+
+  for (const dir of dirs) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, name + ext.toLowerCase());
+      if (isExecutable(candidate)) return candidate;
+    }
+  }
+  return null;
+}
+
+// Resolves yt-dlp, ffmpeg and ffprobe paths: configured path first, then
+// (for ffprobe) the directory ffmpeg lives in, then discovery.
+function resolveTools(configured = {}) {
+  const resolved = {};
+
+  Object.keys(COMMAND_NAMES).forEach(tool => {
+    const name = COMMAND_NAMES[tool];
+    if (configured[tool]) {
+      resolved[tool] = { path: configured[tool], source: 'config' };
+      return;
+    }
+
+    if (tool === 'ffprobe' && resolved.ffmpeg.path) {
+      const sibling = path.join(path.dirname(resolved.ffmpeg.path), name + path.extname(resolved.ffmpeg.path));
+      if (isExecutable(sibling)) {
+        resolved[tool] = { path: sibling, source: 'ffmpeg directory' };
+        return;
+      }
+    }
+
+    const found = findExecutable(name);
+    resolved[tool] = { path: found, source: found ? 'discovered' : null };
+  });
+
+  return resolved;
+}
+
+function getVersion(file, args, timeout = 10000) {
+  return new Promise((resolve) => {
+    execFile(file, args, { timeout, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) return resolve({ ok: false, error: err.message });
+      const line = (stdout || stderr).split('\n')[0].trim();
+      resolve({ ok: true, version: line });
+    });
+  });
+}
+
+// Runs each resolved tool's version command; never rejects
+async function checkTools(tools) {
+  const report = {};
+  for (const tool of Object.keys(tools)) {
+    const { path: file, source } = tools[tool];
+    report[tool] = file
+      ? { path: file, source, ...(await getVersion(file, VERSION_ARGS[tool])) }
+      : { path: null, source: null, ok: false, error: `${COMMAND_NAMES[tool]} not found` };
+  }
+  return report;
+}
+
+module.exports = { findExecutable, resolveTools, checkTools };
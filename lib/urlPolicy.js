@@ -0,0 +1,132 @@
+const dns = require('dns');
+const net = require('net');
+
+const MAX_URL_LENGTH = 2048;
+
+// Addresses a server-side fetch must never reach: private networks,
+// loopback, link-local, carrier-grade NAT, multicast and the like
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) follows the IPv4 rules
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (!family) return false;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// "example.com" matches example.com and every subdomain of it
+function matchesDomain(host, domains) {
+  return domains.some(domain => {
+    const wanted = String(domain).toLowerCase().replace(/^\*?\./, '');
+    return host === wanted || host.endsWith(`.${wanted}`);
+  });
+}
+
+function parseHttpUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return { error: 'Missing URL' };
+  const url = value.trim();
+  // Anything yt-dlp could read as an option is refused outright
+  if (url.startsWith('-')) return { error: 'URLs may not start with "-"' };
+  if (url.length > MAX_URL_LENGTH) return { error: `URLs may be at most ${MAX_URL_LENGTH} characters long` };
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return { error: 'Not a valid URL' };
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { error: 'Only http and https URLs are supported' };
+  }
+  return { parsed, host: parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '') };
+}
+
+// Checks a URL the user wants downloaded against the scheme rules and the
+// configured domain lists. Returns an error message or null.
+function checkUrl(value, policy) {
+  const { host, error } = parseHttpUrl(value);
+  if (error) return error;
+
+  if (matchesDomain(host, policy.denyDomains || [])) return `Downloads from ${host} are not allowed`;
+  if ((policy.allowDomains || []).length && !matchesDomain(host, policy.allowDomains)) {
+    return `Downloads from ${host} are not allowed; allowed sites: ${policy.allowDomains.join(', ')}`;
+  }
+  return null;
+}
+
+// Checks the extractor yt-dlp picked for a URL (info.extractor_key, e.g.
+// "Youtube" or "Generic") against the configured lists
+function checkExtractor(info, policy) {
+  const extractor = String((info && (info.extractor_key || info.extractor)) || '').toLowerCase();
+  if (!extractor) return null;
+
+  const deny = (policy.denyExtractors || []).map(name => String(name).toLowerCase());
+  const allow = (policy.allowExtractors || []).map(name => String(name).toLowerCase());
+  if (deny.includes(extractor)) return `Downloads handled by the ${extractor} extractor are not allowed`;
+  if (allow.length && !allow.includes(extractor)) return `Downloads handled by the ${extractor} extractor are not allowed`;
+  return null;
+}
+
+// Hosts a server-side fetch may not even try: bad schemes, localhost and
+// literal private addresses (Node connects to those without a DNS lookup)
+function checkPublicUrl(value) {
+  const { host, error } = parseHttpUrl(value);
+  if (error) return error;
+  if (host === 'localhost' || host.endsWith('.localhost')) return `Refusing to fetch from ${host}`;
+  if (isBlockedAddress(host)) return `Refusing to fetch from private address ${host}`;
+  return null;
+}
+
+// dns.lookup replacement that fails for names resolving to blocked addresses.
+// Used at connect time, so redirects and DNS rebinding are covered too.
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    const blocked = addresses.find(entry => isBlockedAddress(entry.address));
+    if (blocked) {
+      const error = new Error(`Refusing to fetch from ${hostname}: it resolves to private address ${blocked.address}`);
+      error.code = 'EBLOCKED';
+      return callback(error);
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// axios options for fetching a URL that came from a third party (e.g. a
+// thumbnail in the info JSON) without reaching internal services
+function publicRequestOptions() {
+  return {
+    lookup: publicLookup,
+    maxRedirects: 5,
+    beforeRedirect: (options) => {
+      const problem = checkPublicUrl(`${options.protocol}//${options.hostname}/`);
+      if (problem) throw new Error(problem);
+    }
+  };
+}
+
+module.exports = {
+  checkUrl,
+  checkExtractor,
+  checkPublicUrl,
+  publicRequestOptions,
+  isBlockedAddress
+};
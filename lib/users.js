@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROLES = ['admin', 'user'];
+const MIN_PASSWORD_LENGTH = 8;
+const TOKEN_PREFIX = 'ud_';
+
+// scrypt parameters; stored with each hash so they can be raised later
+const SCRYPT = { N: 16384, r: 8, p: 1, keylen: 64 };
+
+function scrypt(password, salt, params) {
+  return new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, params.keylen, { N: params.N, r: params.r, p: params.p }, (err, key) => {
+      if (err) reject(err);
+      else resolve(key);
+    });
+  });
+}
+
+// "scrypt$N$r$p$salt$hash" with base64 salt and hash
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, SCRYPT);
+  return ['scrypt', SCRYPT.N, SCRYPT.r, SCRYPT.p, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'base64');
+  const params = { N: Number(N), r: Number(r), p: Number(p), keylen: expected.length };
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), params);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Session ids and API tokens are only stored as SHA-256 hashes
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function validateCredentials(username, password) {
+  if (typeof username !== 'string' || !/^[A-Za-z0-9._-]{3,32}$/.test(username)) {
+    return 'Username must be 3-32 letters, digits, dots, dashes or underscores';
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+// What the API shows of a user; never the password hash or token hashes
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    role: user.role,
+    createdAt: user.createdAt,
+    tokens: user.tokens.map(token => ({
+      id: token.id,
+      name: token.name,
+      createdAt: token.createdAt,
+      lastUsedAt: token.lastUsedAt
+    }))
+  };
+}
+
+// Local accounts, login sessions and API tokens, persisted as one JSON file
+function createUserStore({ file, sessionTtlMs }) {
+  const users = new Map(); // id -> user
+  const sessions = new Map(); // session hash -> { userId, expiresAt }
+
+  function load() {
+    if (!fs.existsSync(file)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      (saved.users || []).forEach(user => users.set(user.id, user));
+      (saved.sessions || []).forEach(session => sessions.set(session.hash, session));
+    } catch (e) {
+      console.warn('Failed to load users:', e.message);
+    }
+  }
+
+  function save() {
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      const tmp = `${file}.tmp`;
+      const now = Date.now();
+      fs.writeFileSync(tmp, JSON.stringify({
+        users: Array.from(users.values()),
+        sessions: Array.from(sessions.values()).filter(session => session.expiresAt > now)
+      }, null, 2));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('Failed to persist users:', e.message);
+    }
+  }
+
+  function findByName(username) {
+    const wanted = String(username || '').toLowerCase();
+    return Array.from(users.values()).find(user => user.username.toLowerCase() === wanted) || null;
+  }
+
+  // `firstUserOnly` refuses to create the account once any exists. Both that
+  // and the username are checked again after hashing, which takes long
+  // enough for a concurrent request to get there first; such failures have
+  // `conflict` set.
+  async function create({ username, password, role = 'user', firstUserOnly = false }) {
+    const problem = validateCredentials(username, password);
+    if (problem) return { error: problem };
+    if (!ROLES.includes(role)) return { error: `Unknown role: ${role}` };
+    const conflict = () => {
+      if (firstUserOnly && users.size > 0) return { error: 'Setup has already been completed', conflict: true };
+      if (findByName(username)) return { error: 'That username is taken', conflict: true };
+      return null;
+    };
+    if (conflict()) return conflict();
+
+    const passwordHash = await hashPassword(password);
+    if (conflict()) return conflict();
+
+    const user = {
+      id: crypto.randomUUID(),
+      username,
+      role,
+      passwordHash,
+      tokens: [],
+      createdAt: new Date().toISOString()
+    };
+    users.set(user.id, user);
+    save();
+    return { user };
+  }
+
+  // Resolves with the user for valid credentials, otherwise null
+  async function authenticate(username, password) {
+    const user = findByName(username);
+    if (!user) {
+      // Spend the same time as a real check so unknown names don't stand out
+      await hashPassword(String(password || ''));
+      return null;
+    }
+    return (await verifyPassword(String(password || ''), user.passwordHash)) ? user : null;
+  }
+
+  async function setPassword(id, password) {
+    const user = users.get(id);
+    if (!user) return { error: 'Unknown user' };
+    const problem = validateCredentials(user.username, password);
+    if (problem) return { error: problem };
+
+    user.passwordHash = await hashPassword(password);
+    // Other sessions of this user end with the old password
+    sessions.forEach((session, hash) => { if (session.userId === id) sessions.delete(hash); });
+    save();
+    return { user };
+  }
+
+  function remove(id) {
+    if (!users.delete(id)) return false;
+    sessions.forEach((session, hash) => { if (session.userId === id) sessions.delete(hash); });
+    save();
+    return true;
+  }
+
+  function startSession(userId) {
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(hashSecret(id), { hash: hashSecret(id), userId, expiresAt: Date.now() + sessionTtlMs });
+    save();
+    return id;
+  }
+
+  function endSession(id) {
+    if (sessions.delete(hashSecret(id))) save();
+  }
+
+  function userForSession(id) {
+    const session = sessions.get(hashSecret(id));
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(session.hash);
+      return null;
+    }
+    return users.get(session.userId) || null;
+  }
+
+  // Returns the plain token once; only its hash is kept
+  function createToken(userId, name) {
+    const user = users.get(userId);
+    if (!user) return null;
+
+    const secret = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const token = {
+      id: crypto.randomUUID(),
+      name: String(name || 'API token').slice(0, 64),
+      hash: hashSecret(secret),
+      createdAt: new Date().toISOString(),
+      lastUsedAt: null
+    };
+    user.tokens.push(token);
+    save();
+    return { token, secret };
+  }
+
+  function revokeToken(userId, tokenId) {
+    const user = users.get(userId);
+    if (!user) return false;
+    const before = user.tokens.length;
+    user.tokens = user.tokens.filter(token => token.id !== tokenId);
+    if (user.tokens.length === before) return false;
+    save();
+    return true;
+  }
+
+  function userForToken(secret) {
+    if (!String(secret).startsWith(TOKEN_PREFIX)) return null;
+    const hash = hashSecret(secret);
+    for (const user of users.values()) {
+      const token = user.tokens.find(t => t.hash === hash);
+      if (token) {
+        token.lastUsedAt = new Date().toISOString();
+        return user;
+      }
+    }
+    return null;
+  }
+
+  load();
+
+  return {
+    count: () => users.size,
+    get: (id) => users.get(id) || null,
+    list: () => Array.from(users.values()),
+    findByName,
+    create,
+    authenticate,
+    setPassword,
+    remove,
+    startSession,
+    endSession,
+    userForSession,
+    createToken,
+    revokeToken,
+    userForToken,
+    flush: save
+  };
+}
+
+module.exports = { createUserStore, publicUser, ROLES };
@@ -57,18 +57,96 @@ function createParticles() {
   const proOptions = document.getElementById('proOptions');
   const dragDropZone = document.getElementById('dragDropZone');
   const historyList = document.getElementById('historyList');
+  const librarySearch = document.getElementById('librarySearch');
+  const librarySort = document.getElementById('librarySort');
   const closeHistory = document.getElementById('closeHistory');
+  const queueBtn = document.getElementById('queueBtn');
+  const queueBadge = document.getElementById('queueBadge');
+  const queuePanel = document.getElementById('queuePanel');
+  const queueList = document.getElementById('queueList');
+  const closeQueue = document.getElementById('closeQueue');
+  const clearQueueBtn = document.getElementById('clearQueue');
+  const playlistMode = document.getElementById('playlistMode');
+  const infoJsonToggle = document.getElementById('infoJsonToggle');
+  const squareCoverToggle = document.getElementById('squareCoverToggle');
+  const presetSelect = document.getElementById('presetSelect');
+  const playlistOptions = document.getElementById('playlistOptions');
+  const playlistEntries = document.getElementById('playlistEntries');
+  const playlistSelectAll = document.getElementById('playlistSelectAll');
+  const playlistQuality = document.getElementById('playlistQuality');
+  const queuePlaylistBtn = document.getElementById('queuePlaylistBtn');
+  const playlistSummary = document.getElementById('playlistSummary');
+  const playlistProgressFill = document.getElementById('playlistProgressFill');
+  const playlistSummaryText = document.getElementById('playlistSummaryText');
+  const clipToggle = document.getElementById('clipToggle');
+  const clipPanel = document.getElementById('clipPanel');
+  const clipRanges = document.getElementById('clipRanges');
+  const addClipRangeBtn = document.getElementById('addClipRange');
+  const clearClipRangesBtn = document.getElementById('clearClipRanges');
+  const statusDetails = document.getElementById('statusDetails');
+  const subtitlePanel = document.getElementById('subtitlePanel');
+  const subtitleMode = document.getElementById('subtitleMode');
+  const subtitleFormat = document.getElementById('subtitleFormat');
+  const subtitleLanguages = document.getElementById('subtitleLanguages');
+  const sidecarLinks = document.getElementById('sidecarLinks');
+  const completedMessage = document.getElementById('completedMessage');
+  const forceDownloadBtn = document.getElementById('forceDownload');
+  const previewPlayer = document.getElementById('previewPlayer');
+  const shareLinkBtn = document.getElementById('shareLink');
+  const pauseJobBtn = document.getElementById('pauseJobBtn');
+  const resumeJobBtn = document.getElementById('resumeJobBtn');
+  const cancelJobBtn = document.getElementById('cancelJobBtn');
+  const logoutBtn = document.getElementById('logoutBtn');
+  const noticeBar = document.getElementById('noticeBar');
+  const noticeText = document.getElementById('noticeText');
+  const closeNoticeBtn = document.getElementById('closeNotice');
+  const authPanel = document.getElementById('authPanel');
+  const authForm = document.getElementById('authForm');
+  const authTitle = document.getElementById('authTitle');
+  const authHint = document.getElementById('authHint');
+  const authUsername = document.getElementById('authUsername');
+  const authPassword = document.getElementById('authPassword');
+  const authError = document.getElementById('authError');
+  const authSubmit = document.getElementById('authSubmit');
+  const cookiesBtn = document.getElementById('cookiesBtn');
+  const cookiesPanel = document.getElementById('cookiesPanel');
+  const closeCookies = document.getElementById('closeCookies');
+  const cookieForm = document.getElementById('cookieForm');
+  const cookieDomain = document.getElementById('cookieDomain');
+  const cookieFileInput = document.getElementById('cookieFile');
+  const cookieSharedLabel = document.getElementById('cookieSharedLabel');
+  const cookieShared = document.getElementById('cookieShared');
+  const cookieError = document.getElementById('cookieError');
+  const cookieSubmit = document.getElementById('cookieSubmit');
+  const cookieList = document.getElementById('cookieList');
   
   let currentPlatform = 'youtube';
   let currentVideoUrl = '';
   let currentVideoInfo = null;
   let eventSource = null;
+  let currentJobId = null;
+  let lastDownloadRequest = null; // arguments of the last startDownload, for "fresh copy"
+  let completedFileId = null; // job/library id of the file on the completed card
+  let currentUser = null; // signed-in account; null without accounts
   let downloadTimeout = null;
-  let isDownloading = false;
   let downloadHandled = false; // Indicates "we've acknowledged a download result" (error/success)
   let downloadFinalized = false; // Ensures downloadComplete runs only once
+  let playlistPollTimer = null;
   let recognition = null;
   let currentScanAnimation = null;
+  let authSetupRequired = false; // no accounts yet: the form creates the admin
+  let noticeTimer = null;
+  
+  // Labels for the playlist quality rules returned by /api/info
+  const qualityRuleLabels = {
+    best: 'Best available',
+    '2160p': 'Up to 4K (2160p)',
+    '1440p': 'Up to 1440p',
+    '1080p': 'Up to 1080p',
+    '720p': 'Up to 720p',
+    '480p': 'Up to 480p',
+    '360p': 'Up to 360p'
+  };
   
   // Platform hints
   const platformHints = {
@@ -152,7 +230,7 @@ function createParticles() {
   voiceBtn.addEventListener('click', () => {
       const SpeechRec = window.SpeechRecognition || window.webkitSpeechRecognition;
       if (!SpeechRec) {
-          alert("Your browser doesn't support voice commands. Try Chrome or Edge.");
+          showNotice("Your browser doesn't support voice commands. Try Chrome or Edge.", { type: 'warning' });
           return;
       }
   
@@ -184,69 +262,354 @@ function createParticles() {
   });
   
   // =====================
-  // HISTORY MANAGEMENT
+  // NOTICES
   // =====================
-  function saveToHistory(videoInfo) {
-      const history = JSON.parse(localStorage.getItem('downloadHistory') || '[]');
-      
-      // Avoid duplicates
-      if (!history.some(item => item.url === currentVideoUrl)) {
-          history.unshift({
-              url: currentVideoUrl,
-              title: videoInfo.title,
-              thumbnail: videoInfo.thumbnail,
-              date: new Date().toISOString()
+  // Error from a failed API response. Rate limits and quotas (429) carry
+  // the seconds until a retry can succeed.
+  async function responseError(response, fallback) {
+      const body = await response.json().catch(() => ({}));
+      const error = new Error(body.error || fallback);
+      error.status = response.status;
+      error.limit = body.limit || null;
+      error.reason = body.reason || null; // 'login' or 'geo' when yt-dlp was refused access
+      error.retryAfter = body.retryAfter || parseInt(response.headers.get('Retry-After'), 10) || null;
+      return error;
+  }
+  
+  function formatWait(seconds) {
+      if (seconds >= 3600) return `${Math.ceil(seconds / 3600)} h`;
+      if (seconds >= 60) return `${Math.ceil(seconds / 60)} min`;
+      return `${seconds} s`;
+  }
+  
+  // Shows a message in the banner at the top; with retryAfter it counts
+  // down until trying again makes sense, otherwise it hides after a while
+  function showNotice(message, { type = 'error', retryAfter = null } = {}) {
+      clearInterval(noticeTimer);
+      noticeBar.className = `notice-bar visible ${type}`;
+  
+      if (!retryAfter) {
+          noticeText.textContent = message;
+          noticeTimer = setTimeout(hideNotice, 8000);
+          return;
+      }
+  
+      const until = Date.now() + retryAfter * 1000;
+      const tick = () => {
+          const left = Math.ceil((until - Date.now()) / 1000);
+          if (left <= 0) {
+              noticeText.textContent = `${message}. You can try again now.`;
+              clearInterval(noticeTimer);
+              return;
+          }
+          noticeText.textContent = `${message}. Try again in ${formatWait(left)}.`;
+      };
+      tick();
+      noticeTimer = setInterval(tick, 1000);
+  }
+  
+  function hideNotice() {
+      clearInterval(noticeTimer);
+      noticeBar.classList.remove('visible');
+  }
+  
+  // Limits and quotas are warnings about waiting, not failures
+  function showErrorNotice(err) {
+      showNotice(err.message, { type: err.status === 429 ? 'warning' : 'error', retryAfter: err.retryAfter });
+  }
+  
+  closeNoticeBtn.addEventListener('click', hideNotice);
+  
+  // =====================
+  // ACCOUNT
+  // =====================
+  // Only used when the server has accounts enabled; otherwise /api/auth/me
+  // reports authEnabled: false and the app starts right away.
+  async function checkAuth() {
+      try {
+          const response = await fetch('/api/auth/me');
+          const me = await response.json();
+          if (me.authEnabled && !me.user) {
+              showAuthPanel(me.setupRequired);
+              return false;
+          }
+          setSignedIn(me.user);
+      } catch (err) {
+          console.error('Failed to check sign-in:', err);
+      }
+      return true;
+  }
+  
+  function setSignedIn(user) {
+      currentUser = user;
+      authPanel.style.display = 'none';
+      logoutBtn.style.display = user ? 'flex' : 'none';
+      logoutBtn.title = user ? `Sign out (${user.username})` : 'Sign out';
+      loadPresets();
+  }
+  
+  // =====================
+  // POST-PROCESSING PRESETS
+  // =====================
+  let presetList = [];
+  
+  async function loadPresets() {
+      try {
+          const response = await fetch('/api/presets');
+          if (!response.ok) return;
+          presetList = (await response.json()).presets || [];
+          presetSelect.innerHTML = '<option value="">None</option>' + presetList
+              .map(preset => `<option value="${escapeHtml(preset.name)}">${escapeHtml(preset.label)}</option>`)
+              .join('');
+      } catch (err) {
+          console.error('Failed to load post-processing presets:', err);
+      }
+  }
+  
+  // The picked preset, if it works for this kind of download
+  function selectedPresets(mode) {
+      const preset = presetList.find(item => item.name === presetSelect.value);
+      return preset && preset.modes.includes(mode) ? [preset.name] : [];
+  }
+  
+  function showAuthPanel(setupRequired = false) {
+      authSetupRequired = setupRequired;
+      authTitle.textContent = setupRequired ? 'Create Admin' : 'Sign In';
+      authHint.textContent = setupRequired
+          ? 'No accounts exist yet. Choose the username and password of the administrator.'
+          : 'Sign in to see your downloads.';
+      authSubmit.textContent = setupRequired ? 'Create Account' : 'Sign In';
+      authPassword.autocomplete = setupRequired ? 'new-password' : 'current-password';
+      authError.textContent = '';
+      logoutBtn.style.display = 'none';
+      authPanel.style.display = 'block';
+      authUsername.focus();
+  }
+  
+  authForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      authSubmit.disabled = true;
+      authError.textContent = '';
+  
+      try {
+          const response = await fetch(authSetupRequired ? '/api/auth/setup' : '/api/auth/login', {
+              method: 'POST',
+              headers: { 'Content-Type': 'application/json' },
+              body: JSON.stringify({ username: authUsername.value.trim(), password: authPassword.value })
           });
-          
-          // Keep only last 50 items
-          if (history.length > 50) history.pop();
-          
-          localStorage.setItem('downloadHistory', JSON.stringify(history));
+          const result = await response.json().catch(() => ({}));
+          if (!response.ok) throw new Error(result.error || 'Sign-in failed');
+  
+          authPassword.value = '';
+          setSignedIn(result.user);
+          loadQueue();
+      } catch (err) {
+          authError.textContent = err.message;
+      } finally {
+          authSubmit.disabled = false;
+      }
+  });
+  
+  logoutBtn.addEventListener('click', async () => {
+      await fetch('/api/auth/logout', { method: 'POST' }).catch(err => console.error(err));
+      if (eventSource) eventSource.close();
+      renderQueue([]);
+      historyPanel.style.display = 'none';
+      queuePanel.style.display = 'none';
+      cookiesPanel.style.display = 'none';
+      currentUser = null;
+      showAuthPanel();
+  });
+  
+  // =====================
+  // SITE COOKIES
+  // =====================
+  // cookies.txt uploads for sites that need an account. Admins can share a
+  // file with every user; without accounts all files are shared.
+  async function loadCookies() {
+      try {
+          const response = await fetch('/api/cookies');
+          if (!response.ok) throw await responseError(response, 'Failed to load cookies');
+          renderCookies((await response.json()).cookieFiles || []);
+      } catch (err) {
+          cookieList.innerHTML = `<p class="queue-empty">${escapeHtml(err.message)}</p>`;
       }
   }
   
-  function loadDownloadHistory() {
-      const history = JSON.parse(localStorage.getItem('downloadHistory') || '[]');
-      historyList.innerHTML = '';
-      
-      history.forEach(item => {
-          const historyItem = document.createElement('div');
-          historyItem.className = 'history-item';
-          
-          const date = new Date(item.date);
-          const formattedDate = date.toLocaleDateString();
-          const formattedTime = date.toLocaleTimeString();
-          
-          historyItem.innerHTML = `
-              <img src="${item.thumbnail}" class="history-thumb" alt="Thumbnail">
+  function renderCookies(files) {
+      if (!files.length) {
+          cookieList.innerHTML = '<p class="queue-empty">No cookies uploaded yet.</p>';
+          return;
+      }
+  
+      cookieList.innerHTML = '';
+      files.forEach(file => {
+          const item = document.createElement('div');
+          item.className = 'history-item';
+          const canDelete = !file.shared || !currentUser || currentUser.role === 'admin';
+          item.innerHTML = `
               <div class="history-details">
-                  <div class="history-title">${item.title}</div>
+                  <div class="history-title">${escapeHtml(file.domain)}</div>
                   <div class="history-meta">
-                      <span>${formattedDate}</span>
-                      <span>${formattedTime}</span>
+                      <span>${file.shared ? 'All users' : 'Only you'}</span>
+                      <span>${file.cookies} cookies</span>
+                      <span>Updated ${new Date(file.updatedAt).toLocaleDateString()}</span>
                   </div>
               </div>
-              <button class="history-action" data-url="${item.url}">
-                  <i class="fas fa-redo"></i>
-              </button>
+              ${canDelete ? '<div class="queue-actions"><button class="history-action" title="Remove these cookies"><i class="fas fa-trash"></i></button></div>' : ''}
           `;
-          
-          historyList.appendChild(historyItem);
+  
+          if (canDelete) {
+              item.querySelector('button').addEventListener('click', async () => {
+                  if (!confirm(`Remove the cookies for ${file.domain}?`)) return;
+                  const query = file.shared ? '?shared=true' : '';
+                  const response = await fetch(`/api/cookies/${encodeURIComponent(file.domain)}${query}`, { method: 'DELETE' });
+                  if (!response.ok) showErrorNotice(await responseError(response, 'Failed to remove cookies'));
+                  loadCookies();
+              });
+          }
+  
+          cookieList.appendChild(item);
       });
-      
-      // Add event listeners to re-download buttons
-      document.querySelectorAll('.history-action').forEach(btn => {
-          btn.addEventListener('click', () => {
-              const url = btn.dataset.url;
-              videoUrl.value = url;
+  }
+  
+  // Opens the panel, optionally for the site of a URL that needed an account
+  function openCookiesPanel(url = null) {
+      if (url) {
+          try {
+              cookieDomain.value = new URL(url).hostname.replace(/^(www|m)\./, '');
+          } catch (e) {
+              // leave the field as it is
+          }
+      }
+      cookieError.textContent = '';
+      cookieSharedLabel.style.display = currentUser && currentUser.role === 'admin' ? 'flex' : 'none';
+      loadCookies();
+      cookiesPanel.style.display = 'block';
+  }
+  
+  cookieForm.addEventListener('submit', async (e) => {
+      e.preventDefault();
+      const file = cookieFileInput.files[0];
+      if (!file) return;
+      cookieSubmit.disabled = true;
+      cookieError.textContent = '';
+  
+      try {
+          const query = cookieShared.checked ? '?shared=true' : '';
+          const response = await fetch(`/api/cookies/${encodeURIComponent(cookieDomain.value.trim())}${query}`, {
+              method: 'PUT',
+              headers: { 'Content-Type': 'text/plain' },
+              body: await file.text()
+          });
+          if (!response.ok) throw await responseError(response, 'Failed to upload cookies');
+          const result = await response.json();
+          cookieForm.reset();
+          showNotice(`Saved ${result.cookieFile.cookies} cookies for ${result.cookieFile.domain}. Fetch the video again.`, { type: 'info' });
+          loadCookies();
+      } catch (err) {
+          cookieError.textContent = err.message;
+      } finally {
+          cookieSubmit.disabled = false;
+      }
+  });
+  
+  cookiesBtn.addEventListener('click', () => openCookiesPanel());
+  
+  closeCookies.addEventListener('click', () => {
+      cookiesPanel.style.display = 'none';
+  });
+  
+  // =====================
+  // LIBRARY
+  // =====================
+  let librarySearchTimer = null;
+  
+  function formatLength(seconds) {
+      const h = Math.floor(seconds / 3600);
+      const m = Math.floor((seconds % 3600) / 60);
+      const s = Math.floor(seconds % 60);
+      const mmss = `${String(m).padStart(h ? 2 : 1, '0')}:${String(s).padStart(2, '0')}`;
+      return h ? `${h}:${mmss}` : mmss;
+  }
+  
+  async function loadLibrary() {
+      const [sort, order] = librarySort.value.split(':');
+      const params = new URLSearchParams({ sort, order });
+      if (librarySearch.value.trim()) params.set('q', librarySearch.value.trim());
+  
+      try {
+          const response = await fetch(`/api/library?${params}`);
+          if (!response.ok) throw new Error('Failed to load library');
+          const data = await response.json();
+          renderLibrary(data.entries || [], data.total || 0);
+      } catch (e) {
+          historyList.innerHTML = `<p class="queue-empty">${escapeHtml(e.message)}</p>`;
+      }
+  }
+  
+  function renderLibrary(entries, total) {
+      if (!entries.length) {
+          historyList.innerHTML = `<p class="queue-empty">${librarySearch.value.trim() ? 'No matching downloads.' : 'No downloads yet.'}</p>`;
+          return;
+      }
+  
+      historyList.innerHTML = '';
+      entries.forEach(entry => {
+          const item = document.createElement('div');
+          item.className = 'history-item library-item';
+  
+          const date = new Date(entry.createdAt);
+          const meta = [
+              `<span class="library-format">${escapeHtml(entry.format)}</span>`,
+              entry.uploader ? `<span>${escapeHtml(entry.uploader)}</span>` : '',
+              entry.durationSeconds ? `<span>${formatLength(entry.durationSeconds)}</span>` : '',
+              `<span>${formatBytes(entry.size)}</span>`,
+              `<span>${date.toLocaleDateString()} ${date.toLocaleTimeString()}</span>`
+          ].join('');
+  
+          const sidecars = (entry.sidecarUrls || []).map((url, index) => {
+              const kind = sidecarKind((entry.sidecars || [])[index] || '');
+              return `<a class="history-action" href="${url}" download title="${escapeHtml(kind.title)}"><i class="fas ${kind.icon}"></i></a>`;
+          }).join('');
+  
+          item.innerHTML = `
+              ${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" class="history-thumb" alt="Thumbnail">` : ''}
+              <div class="history-details">
+                  <div class="history-title" title="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</div>
+                  <div class="history-meta">${meta}</div>
+              </div>
+              <div class="queue-actions">
+                  <a class="history-action" href="${entry.downloadUrl}" download title="Save file"><i class="fas fa-save"></i></a>${sidecars}
+                  <button class="history-action" data-action="refetch" title="Fetch again from the source"><i class="fas fa-redo"></i></button>
+                  <button class="history-action" data-action="delete" title="Delete from the server"><i class="fas fa-trash"></i></button>
+              </div>
+          `;
+  
+          item.querySelector('[data-action="refetch"]').addEventListener('click', () => {
+              videoUrl.value = entry.url;
               historyPanel.style.display = 'none';
               fetchVideoInfo();
           });
+  
+          item.querySelector('[data-action="delete"]').addEventListener('click', async () => {
+              if (!confirm(`Delete "${entry.title}" from the server?`)) return;
+              const response = await fetch(`/api/library/${encodeURIComponent(entry.id)}`, { method: 'DELETE' });
+              if (!response.ok) showErrorNotice(await responseError(response, 'Failed to delete'));
+              loadLibrary();
+              loadQueue();
+          });
+  
+          historyList.appendChild(item);
       });
+  
+      if (total > entries.length) {
+          historyList.insertAdjacentHTML('beforeend', `<p class="queue-empty">Showing ${entries.length} of ${total}. Refine the search to see more.</p>`);
+      }
   }
   
   historyBtn.addEventListener('click', () => {
-      loadDownloadHistory();
+      loadLibrary();
       historyPanel.style.display = 'block';
   });
   
@@ -254,6 +617,172 @@ function createParticles() {
       historyPanel.style.display = 'none';
   });
   
+  librarySearch.addEventListener('input', () => {
+      clearTimeout(librarySearchTimer);
+      librarySearchTimer = setTimeout(loadLibrary, 250);
+  });
+  
+  librarySort.addEventListener('change', loadLibrary);
+  
+  // =====================
+  // DOWNLOAD QUEUE
+  // =====================
+  const jobStateLabels = {
+      queued: 'Queued',
+      running: 'Downloading',
+      merging: 'Merging',
+      processing: 'Post-processing',
+      embedding: 'Embedding metadata',
+      paused: 'Paused',
+      done: 'Done',
+      failed: 'Failed',
+      cancelled: 'Cancelled'
+  };
+  
+  let queuePollTimer = null;
+  
+  function escapeHtml(value) {
+      return String(value == null ? '' : value).replace(/[&<>"']/g, ch => ({
+          '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+      }[ch]));
+  }
+  
+  // Sidecar files are subtitles, the .info.json or an animated preview asked
+  // for with the download
+  function sidecarKind(file) {
+      if (file.endsWith('.info.json')) return { icon: 'fa-file-code', label: 'info.json', title: 'Save video info (JSON)' };
+      if (/\.preview\.(gif|webp)$/.test(file)) {
+          const label = file.split('.').slice(-2).join('.');
+          return { icon: 'fa-film', label, title: `Save ${label}` };
+      }
+      const label = file.split('.').slice(-2).join('.');
+      return { icon: 'fa-closed-captioning', label, title: `Save ${label} subtitles` };
+  }
+  
+  // Finished files are served by job/library id; query can ask for inline
+  // playback or a sidecar file
+  function fileUrl(id, query = {}) {
+      const params = new URLSearchParams(query).toString();
+      return `/api/files/${encodeURIComponent(id)}${params ? `?${params}` : ''}`;
+  }
+  
+  async function loadQueue() {
+      try {
+          const response = await fetch('/api/jobs');
+          if (!response.ok) throw new Error('Failed to load download queue');
+          const { jobs } = await response.json();
+          renderQueue(jobs || []);
+      } catch (err) {
+          console.error(err);
+      }
+  }
+  
+  function renderQueue(jobs) {
+      const active = jobs.filter(job => ['queued', 'running', 'merging', 'processing', 'embedding'].includes(job.state));
+      queueBadge.textContent = active.length;
+      queueBadge.style.display = active.length ? 'flex' : 'none';
+  
+      queueList.innerHTML = jobs.length ? '' : '<p class="queue-empty">No downloads yet.</p>';
+  
+      // Newest first
+      jobs.slice().reverse().forEach(job => {
+          const item = document.createElement('div');
+          item.className = `history-item queue-item ${job.state}`;
+  
+          const cancelAction = `<button class="history-action" data-action="cancel" title="Cancel"><i class="fas fa-ban"></i></button>`;
+          let actions = '';
+          if (job.state === 'queued' || job.state === 'running') {
+              actions = `<button class="history-action" data-action="pause" title="Pause"><i class="fas fa-pause"></i></button>${cancelAction}`;
+          } else if (job.state === 'paused') {
+              actions = `<button class="history-action" data-action="resume" title="Resume"><i class="fas fa-play"></i></button>${cancelAction}`;
+          } else if (['merging', 'processing', 'embedding'].includes(job.state)) {
+              actions = cancelAction;
+          } else if (job.state === 'done') {
+              const sidecars = (job.sidecars || []).map((file, index) => {
+                  const kind = sidecarKind(file);
+                  return `<a class="history-action" href="${fileUrl(job.id, { sidecar: index })}" download title="${escapeHtml(kind.title)}"><i class="fas ${kind.icon}"></i></a>`;
+              }).join('');
+              actions = `<a class="history-action" href="${fileUrl(job.id)}" download title="Save file"><i class="fas fa-save"></i></a>${sidecars}
+                  <button class="history-action" data-action="remove" title="Remove from list"><i class="fas fa-trash"></i></button>`;
+          } else if (job.state === 'failed' || job.state === 'cancelled') {
+              actions = `<button class="history-action" data-action="remove" title="Remove from list"><i class="fas fa-trash"></i></button>`;
+          }
+  
+          item.innerHTML = `
+              <div class="history-details">
+                  <div class="history-title">${escapeHtml(job.title)}</div>
+                  <div class="history-meta">
+                      <span class="queue-state">${jobStateLabels[job.state] || job.state}</span>
+                      <span>${escapeHtml(job.error || job.status || '')}</span>
+                  </div>
+                  <div class="progress-bar queue-progress">
+                      <div class="progress-fill" style="width: ${Math.max(0, Math.min(100, job.progress || 0))}%"></div>
+                  </div>
+              </div>
+              <div class="queue-actions">${actions}</div>
+          `;
+  
+          item.querySelectorAll('button[data-action]').forEach(btn => {
+              btn.addEventListener('click', () => manageJob(job.id, btn.dataset.action));
+          });
+  
+          queueList.appendChild(item);
+      });
+  }
+  
+  async function manageJob(jobId, action) {
+      const request = action === 'remove'
+          ? fetch(`/api/jobs/${encodeURIComponent(jobId)}`, { method: 'DELETE' })
+          : fetch(`/api/jobs/${encodeURIComponent(jobId)}/${action}`, { method: 'POST' });
+  
+      try {
+          const response = await request;
+          if (!response.ok) throw await responseError(response, `Failed to ${action} download`);
+      } catch (err) {
+          console.error(err);
+          showErrorNotice(err);
+      }
+      loadQueue();
+  }
+  
+  // Pause/resume/cancel controls on the status card act on the job it follows
+  function updateJobControls(state) {
+      const canPause = state === 'queued' || state === 'running';
+      pauseJobBtn.style.display = canPause ? 'inline-flex' : 'none';
+      resumeJobBtn.style.display = state === 'paused' ? 'inline-flex' : 'none';
+      cancelJobBtn.style.display = ['done', 'failed', 'cancelled'].includes(state) ? 'none' : 'inline-flex';
+  }
+  
+  pauseJobBtn.addEventListener('click', () => {
+      if (currentJobId) manageJob(currentJobId, 'pause');
+  });
+  
+  resumeJobBtn.addEventListener('click', () => {
+      if (currentJobId) manageJob(currentJobId, 'resume');
+  });
+  
+  cancelJobBtn.addEventListener('click', () => {
+      if (currentJobId) manageJob(currentJobId, 'cancel');
+  });
+  
+  queueBtn.addEventListener('click', () => {
+      loadQueue();
+      queuePanel.style.display = 'block';
+      clearInterval(queuePollTimer);
+      queuePollTimer = setInterval(loadQueue, 2000);
+  });
+  
+  closeQueue.addEventListener('click', () => {
+      queuePanel.style.display = 'none';
+      clearInterval(queuePollTimer);
+      queuePollTimer = null;
+  });
+  
+  clearQueueBtn.addEventListener('click', async () => {
+      await fetch('/api/jobs', { method: 'DELETE' }).catch(err => console.error(err));
+      loadQueue();
+  });
+  
   // =====================
   // DRAG & DROP FUNCTIONALITY
   // =====================
@@ -329,6 +858,13 @@ function createParticles() {
   fetchBtn.addEventListener('click', fetchVideoInfo);
   newDownloadBtn.addEventListener('click', resetDownloader);
   
+  forceDownloadBtn.addEventListener('click', () => {
+    if (!lastDownloadRequest) return;
+    const { url, videoItag, audioItag, extraOptions } = lastDownloadRequest;
+    completedDownload.style.display = 'none';
+    startDownload(url, videoItag, audioItag, { ...extraOptions, force: true });
+  });
+  
   platformTabs.forEach(tab => {
     tab.addEventListener('click', () => {
       platformTabs.forEach(t => t.classList.remove('active'));
@@ -357,31 +893,26 @@ function createParticles() {
     });
   });
   
-  function setDownloadButtonsDisabled(state) {
-    document.querySelectorAll('.download-action').forEach(btn => {
-      try { btn.disabled = !!state; } catch (e) {}
-    });
-  }
-  
   function clearSearchResultsAndInput() {
     closeEventSource();
     clearTimeout(downloadTimeout);
   
-    isDownloading = false;
     downloadHandled = false;
     downloadFinalized = false;
-    setDownloadButtonsDisabled(false);
+    currentJobId = null;
     videoUrl.value = '';
     currentVideoInfo = null;
     currentVideoUrl = '';
   
     qualityOptions.innerHTML = '';
     resultsSection.style.display = 'none';
+    resetPlaylistView();
   
     downloadStatus.style.display = 'none';
     completedDownload.style.display = 'none';
     progressFill.style.width = '0%';
     statusText.textContent = "Preparing download...";
+    statusDetails.textContent = '';
     statusText.className = "status-text";
   }
   
@@ -420,20 +951,25 @@ function createParticles() {
       const response = await fetch('/api/info', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ url })
+        body: JSON.stringify({ url, playlist: playlistMode.checked ? true : undefined })
       });
   
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error || 'Failed to fetch video info');
+      if (response.status === 401) {
+        showAuthPanel();
+        return;
       }
+      if (!response.ok) throw await responseError(response, 'Failed to fetch video info');
   
       const videoData = await response.json();
       currentVideoInfo = videoData;
-      saveToHistory(videoData);
-      displayVideoResults(videoData);
+      if (videoData.type === 'playlist') {
+        displayPlaylistResults(videoData);
+      } else {
+        displayVideoResults(videoData);
+      }
     } catch (err) {
-      alert(`Error: ${err.message}`);
+      showErrorNotice(err);
+      if (err.reason === 'login') openCookiesPanel(url);
       console.error(err);
     } finally {
       fetchBtn.innerHTML = '<i class="fas fa-download"></i> Fetch Video';
@@ -448,6 +984,11 @@ function createParticles() {
     videoViews.textContent = videoData.views;
     videoDate.textContent = videoData.date;
   
+    resetPlaylistView();
+    resetClipRanges();
+    setupSubtitles(videoData.subtitles || []);
+    clipToggle.style.display = 'inline-flex';
+    qualityOptions.style.display = 'grid';
     qualityOptions.innerHTML = '';
   
     (videoData.formats || []).forEach(format => {
@@ -465,11 +1006,6 @@ function createParticles() {
   
       const downloadBtn = option.querySelector('.download-action');
       downloadBtn.addEventListener('click', function() {
-        if (isDownloading) {
-          alert('A download is already in progress. Please wait until it finishes.');
-          return;
-        }
-  
         const videoItag = this.dataset.itag;
         const hasAudio = this.dataset.hasaudio === 'true';
   
@@ -483,10 +1019,300 @@ function createParticles() {
       qualityOptions.appendChild(option);
     });
   
+    if ((videoData.audioTargets || []).length > 0) {
+      qualityOptions.appendChild(createAudioOnlyOption(videoData));
+    }
+  
     resultsSection.style.display = 'block';
     resultsSection.scrollIntoView({ behavior: 'smooth' });
   }
   
+  // =====================
+  // CLIP RANGES
+  // =====================
+  function addClipRange(start = '', end = '') {
+    const row = document.createElement('div');
+    row.className = 'clip-range';
+    row.innerHTML = `
+      <label>Start <input type="text" class="clip-start" placeholder="0:00"></label>
+      <label>End <input type="text" class="clip-end" placeholder="${currentVideoInfo && currentVideoInfo.duration ? currentVideoInfo.duration : 'end'}"></label>
+      <button class="history-action clip-remove" title="Remove range"><i class="fas fa-trash"></i></button>
+    `;
+    row.querySelector('.clip-start').value = start;
+    row.querySelector('.clip-end').value = end;
+    row.querySelector('.clip-remove').addEventListener('click', () => {
+      row.remove();
+      if (!clipRanges.children.length) addClipRange();
+    });
+    clipRanges.appendChild(row);
+  }
+  
+  function resetClipRanges() {
+    clipRanges.innerHTML = '';
+    clipPanel.style.display = 'none';
+    clipToggle.classList.remove('active');
+  }
+  
+  // Ranges to send with a download; empty when clipping is off
+  function getClipRanges() {
+    if (clipPanel.style.display === 'none') return [];
+    return Array.from(clipRanges.querySelectorAll('.clip-range'))
+      .map(row => ({
+        start: row.querySelector('.clip-start').value.trim(),
+        end: row.querySelector('.clip-end').value.trim()
+      }))
+      .filter(range => range.start || range.end);
+  }
+  
+  clipToggle.addEventListener('click', () => {
+    const show = clipPanel.style.display === 'none';
+    clipPanel.style.display = show ? 'block' : 'none';
+    clipToggle.classList.toggle('active', show);
+    if (show && !clipRanges.children.length) addClipRange();
+  });
+  
+  addClipRangeBtn.addEventListener('click', () => addClipRange());
+  
+  clearClipRangesBtn.addEventListener('click', () => {
+    clipRanges.innerHTML = '';
+    addClipRange();
+  });
+  
+  // =====================
+  // SUBTITLES
+  // =====================
+  function setupSubtitles(tracks) {
+    subtitleMode.value = '';
+    subtitleFormat.disabled = true;
+    subtitleLanguages.innerHTML = '';
+    subtitlePanel.style.display = tracks.length ? 'block' : 'none';
+  
+    [['Uploaded', false], ['Auto-generated', true]].forEach(([label, auto]) => {
+      const group = tracks.filter(track => track.auto === auto);
+      if (!group.length) return;
+  
+      const optgroup = document.createElement('optgroup');
+      optgroup.label = label;
+      group.forEach(track => {
+        const option = document.createElement('option');
+        option.value = track.lang;
+        option.dataset.auto = auto;
+        option.textContent = track.name === track.lang ? track.lang : `${track.name} (${track.lang})`;
+        optgroup.appendChild(option);
+      });
+      subtitleLanguages.appendChild(optgroup);
+    });
+  
+    // Preselect the first uploaded track, or the first caption track
+    if (subtitleLanguages.options.length) subtitleLanguages.options[0].selected = true;
+  }
+  
+  // Subtitle request for a download; undefined when subtitles are off
+  function getSubtitleOptions() {
+    if (subtitlePanel.style.display === 'none' || !subtitleMode.value) return undefined;
+  
+    const selected = Array.from(subtitleLanguages.selectedOptions);
+    return {
+      mode: subtitleMode.value,
+      format: subtitleFormat.value,
+      languages: Array.from(new Set(selected.map(option => option.value))),
+      includeAuto: selected.some(option => option.dataset.auto === 'true')
+    };
+  }
+  
+  subtitleMode.addEventListener('change', () => {
+    // Only separate files keep the chosen format
+    subtitleFormat.disabled = subtitleMode.value !== 'sidecar';
+  });
+  
+  function renderSidecarLinks(id, sidecars) {
+    sidecarLinks.innerHTML = (sidecars || []).map((file, index) => {
+      const kind = sidecarKind(file);
+      return `
+      <a class="history-action" href="${fileUrl(id, { sidecar: index })}" download title="${escapeHtml(kind.title)}">
+        <i class="fas ${kind.icon}"></i> ${escapeHtml(kind.label)}
+      </a>
+    `;
+    }).join('');
+  }
+  
+  // =====================
+  // PLAYLISTS & CHANNELS
+  // =====================
+  function resetPlaylistView() {
+    clearInterval(playlistPollTimer);
+    playlistPollTimer = null;
+    playlistOptions.style.display = 'none';
+    playlistEntries.innerHTML = '';
+    playlistSummary.style.display = 'none';
+    playlistProgressFill.style.width = '0%';
+    playlistSummaryText.textContent = '';
+    queuePlaylistBtn.disabled = false;
+  }
+  
+  function displayPlaylistResults(playlistData) {
+    videoTitle.textContent = playlistData.title;
+    videoThumb.src = playlistData.thumbnail;
+    videoDuration.textContent = playlistData.totalDuration;
+    videoViews.textContent = `${playlistData.entryCount} videos`;
+    videoDate.textContent = playlistData.uploader;
+  
+    qualityOptions.innerHTML = '';
+    qualityOptions.style.display = 'none';
+    resetPlaylistView();
+    resetClipRanges();
+    clipToggle.style.display = 'none';
+  
+    playlistQuality.innerHTML = (playlistData.qualityRules || ['best'])
+      .map(rule => `<option value="${rule}">${qualityRuleLabels[rule] || rule}</option>`)
+      .join('');
+  
+    playlistData.entries.forEach(entry => {
+      const row = document.createElement('label');
+      row.className = 'playlist-entry';
+      row.innerHTML = `
+        <input type="checkbox" class="playlist-entry-check" checked>
+        <span class="playlist-index">${entry.index}</span>
+        ${entry.thumbnail ? `<img src="${escapeHtml(entry.thumbnail)}" class="history-thumb" alt="Thumbnail">` : ''}
+        <span class="playlist-title">${escapeHtml(entry.title)}</span>
+        <span class="playlist-duration">${entry.duration}</span>
+      `;
+      row.querySelector('input').dataset.url = entry.url;
+      row.querySelector('input').dataset.title = entry.title;
+      row.querySelector('input').dataset.index = entry.index;
+      playlistEntries.appendChild(row);
+    });
+  
+    playlistSelectAll.checked = true;
+    playlistOptions.style.display = 'block';
+    resultsSection.style.display = 'block';
+    resultsSection.scrollIntoView({ behavior: 'smooth' });
+  }
+  
+  playlistSelectAll.addEventListener('change', () => {
+    playlistEntries.querySelectorAll('.playlist-entry-check').forEach(box => {
+      box.checked = playlistSelectAll.checked;
+    });
+  });
+  
+  queuePlaylistBtn.addEventListener('click', async () => {
+    const entries = Array.from(playlistEntries.querySelectorAll('.playlist-entry-check:checked'))
+      .map(box => ({ url: box.dataset.url, title: box.dataset.title, index: parseInt(box.dataset.index, 10) }));
+  
+    if (!entries.length) {
+      showNotice('Please select at least one video', { type: 'warning' });
+      return;
+    }
+  
+    queuePlaylistBtn.disabled = true;
+  
+    try {
+      const response = await fetch('/api/download/batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          entries,
+          quality: playlistQuality.value,
+          title: currentVideoInfo ? currentVideoInfo.title : undefined,
+          infoJson: infoJsonToggle.checked,
+          postprocess: selectedPresets('video')
+        })
+      });
+  
+      if (!response.ok) throw await responseError(response, 'Failed to queue playlist');
+  
+      const { batchId } = await response.json();
+      playlistSummary.style.display = 'block';
+      playlistSummaryText.textContent = `Queued ${entries.length} videos...`;
+      loadQueue();
+  
+      clearInterval(playlistPollTimer);
+      playlistPollTimer = setInterval(() => updatePlaylistSummary(batchId), 2000);
+      updatePlaylistSummary(batchId);
+    } catch (err) {
+      showErrorNotice(err);
+      console.error(err);
+      queuePlaylistBtn.disabled = false;
+    }
+  });
+  
+  // Overall progress of a queued playlist: finished jobs count as 100%
+  async function updatePlaylistSummary(batchId) {
+    try {
+      const response = await fetch(`/api/jobs?batch=${encodeURIComponent(batchId)}`);
+      if (!response.ok) throw new Error('Failed to load playlist progress');
+      const { jobs } = await response.json();
+      if (!jobs.length) return;
+  
+      const count = (state) => jobs.filter(job => job.state === state).length;
+      const done = count('done');
+      const failed = count('failed');
+      const cancelled = count('cancelled');
+      const finished = done + failed + cancelled;
+      const overall = jobs.reduce((sum, job) => sum + (['done', 'failed', 'cancelled'].includes(job.state) ? 100 : (job.progress || 0)), 0) / jobs.length;
+  
+      playlistProgressFill.style.width = `${overall}%`;
+      playlistSummaryText.textContent = `${done}/${jobs.length} done` +
+        (failed ? ` • ${failed} failed` : '') +
+        (cancelled ? ` • ${cancelled} cancelled` : '') +
+        ` • ${Math.round(overall)}% overall`;
+      playlistSummaryText.className = failed ? 'status-text warning' : 'status-text';
+  
+      if (finished === jobs.length) {
+        clearInterval(playlistPollTimer);
+        playlistPollTimer = null;
+        queuePlaylistBtn.disabled = false;
+      }
+    } catch (err) {
+      console.error(err);
+    }
+  }
+  
+  // Audio-only card: codec + bitrate, transcoded on the server
+  function createAudioOnlyOption(videoData) {
+    const option = document.createElement('div');
+    option.className = 'quality-option audio-only-option';
+  
+    option.innerHTML = `
+      <div class="quality-label">Audio Only</div>
+      <div class="quality-desc">
+        <select class="audio-codec-select">
+          ${videoData.audioTargets.map(target => `<option value="${target.codec}">${target.codec.toUpperCase()}</option>`).join('')}
+        </select>
+        <select class="audio-bitrate-select"></select>
+      </div>
+      <div class="quality-size">Best audio track</div>
+      <button class="download-action">
+        <i class="fas fa-music"></i> Download
+      </button>
+    `;
+  
+    const codecSelect = option.querySelector('.audio-codec-select');
+    const bitrateSelect = option.querySelector('.audio-bitrate-select');
+  
+    const updateBitrates = () => {
+      const target = videoData.audioTargets.find(t => t.codec === codecSelect.value);
+      bitrateSelect.innerHTML = target.lossless
+        ? '<option value="">Lossless</option>'
+        : target.bitrates.map(rate => `<option value="${rate}" ${rate === 192 ? 'selected' : ''}>${rate} kbps</option>`).join('');
+      bitrateSelect.disabled = !!target.lossless;
+    };
+  
+    codecSelect.addEventListener('change', updateBitrates);
+    updateBitrates();
+  
+    option.querySelector('.download-action').addEventListener('click', () => {
+      const bestAudio = (videoData.audioFormats || [])[0];
+      startDownload(currentVideoUrl, null, bestAudio ? bestAudio.itag : null, {
+        mode: 'audio',
+        audioCodec: codecSelect.value,
+        audioBitrate: bitrateSelect.value || undefined
+      });
+    });
+  
+    return option;
+  }
+  
   function showAudioSelector(videoItag) {
     const modal = document.createElement('div');
     modal.className = 'audio-modal';
@@ -527,7 +1353,7 @@ function createParticles() {
         document.body.removeChild(modal);
         startDownload(currentVideoUrl, videoItag, audioItag);
       } else {
-        alert('Please select an audio quality');
+        showNotice('Please select an audio quality', { type: 'warning' });
       }
     });
   
@@ -554,6 +1380,41 @@ function createParticles() {
     return { status: text.trim() };
   }
   
+  function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const units = ['B', 'KiB', 'MiB', 'GiB'];
+    const exponent = Math.min(units.length - 1, Math.floor(Math.log(bytes) / Math.log(1024)));
+    return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+  }
+  
+  function formatEta(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${String(secs).padStart(2, '0')}`;
+  }
+  
+  // "12.3 MiB of 45.6 MiB • 2.1 MiB/s • 0:15 left • fragment 3/40"
+  function describeTransfer(stats) {
+    if (!stats) return '';
+    const parts = [];
+    // ffmpeg post-processing reports media time rather than bytes
+    if (typeof stats.processedSeconds === 'number') {
+      parts.push(stats.totalSeconds
+        ? `${formatLength(stats.processedSeconds)} of ${formatLength(stats.totalSeconds)}`
+        : formatLength(stats.processedSeconds));
+    }
+    if (stats.speedFactor) parts.push(`${stats.speedFactor.toFixed(1)}x`);
+    if (typeof stats.downloadedBytes === 'number') {
+      parts.push(stats.totalBytes
+        ? `${formatBytes(stats.downloadedBytes)} of ${formatBytes(stats.totalBytes)}`
+        : formatBytes(stats.downloadedBytes));
+    }
+    if (stats.speed) parts.push(`${formatBytes(stats.speed)}/s`);
+    if (typeof stats.eta === 'number') parts.push(`${formatEta(stats.eta)} left`);
+    if (stats.fragmentIndex && stats.fragmentCount) parts.push(`fragment ${stats.fragmentIndex}/${stats.fragmentCount}`);
+    return parts.join(' • ');
+  }
+  
   function handleProgressData(data) {
     let payload = data;
     if (typeof data === 'string') {
@@ -562,27 +1423,26 @@ function createParticles() {
   
     if (!payload || typeof payload !== 'object') return;
   
+    // Ignore events that belong to another download job
+    if (payload.jobId && payload.jobId !== currentJobId) return;
+  
+    if (payload.state) {
+      updateJobControls(payload.state);
+    }
+  
     if (typeof payload.progress === 'number') {
       const p = Math.max(0, Math.min(100, payload.progress));
       progressFill.style.width = `${p}%`;
-  
-      if (p <= 20) {
-        statusText.textContent = "Connecting to source...";
-      } else if (p <= 40) {
-        statusText.textContent = "Processing video data...";
-      } else if (p <= 60) {
-        statusText.textContent = "Downloading video stream...";
-      } else if (p <= 80) {
-        statusText.textContent = "Merging streams...";
-      } else if (p < 100) {
-        statusText.textContent = "Finalizing download...";
-      } else {
-        statusText.textContent = "Finalizing download...";
-      }
     }
   
     if (payload.status) {
-      statusText.textContent = payload.status;
+      statusText.textContent = typeof payload.progress === 'number' && payload.progress > 0
+        ? `${payload.status} ${Math.floor(payload.progress)}%`
+        : payload.status;
+    }
+  
+    if ('stats' in payload) {
+      statusDetails.textContent = describeTransfer(payload.stats);
     }
   
     if (payload.error) {
@@ -590,10 +1450,9 @@ function createParticles() {
         downloadHandled = true;
         statusText.textContent = `Error: ${payload.error}`;
         statusText.className = "status-text error";
+        statusDetails.textContent = '';
         clearTimeout(downloadTimeout);
         closeEventSource();
-        isDownloading = false;
-        setDownloadButtonsDisabled(false);
         removeScanAnimation(currentScanAnimation);
         currentScanAnimation = null;
       }
@@ -605,10 +1464,11 @@ function createParticles() {
         clearTimeout(downloadTimeout);
         progressFill.style.width = '100%';
         statusText.textContent = "Finalizing download...";
+        statusDetails.textContent = '';
         closeEventSource();
         // call finalization after small timeout to let UI show 100%
         setTimeout(() => {
-          downloadComplete(payload.file);
+          downloadComplete(payload.jobId, payload.file, payload.sidecars);
         }, 800);
       }
     }
@@ -623,17 +1483,12 @@ function createParticles() {
     eventSource = null;
   }
   
-  async function startDownload(url, videoItag, audioItag = null) {
-    if (isDownloading) {
-      alert('A download is already in progress. Please wait until it finishes.');
-      return;
-    }
-  
-    // reset per-download flags
-    isDownloading = true;
+  async function startDownload(url, videoItag, audioItag = null, extraOptions = {}) {
+    // reset per-download flags; the status card follows the newest job while
+    // earlier ones keep running in the queue
     downloadHandled = false;
     downloadFinalized = false;
-    setDownloadButtonsDisabled(true);
+    lastDownloadRequest = { url, videoItag, audioItag, extraOptions };
   
     if (url.includes('youtu.be')) {
       url = normalizeYouTubeUrl(url);
@@ -643,7 +1498,9 @@ function createParticles() {
     downloadStatus.style.display = 'block';
     progressFill.style.width = '0%';
     statusText.textContent = "Preparing download...";
+    statusDetails.textContent = '';
     statusText.className = "status-text";
+    updateJobControls('queued');
   
     // Add sci-fi loading animation
     currentScanAnimation = addScanAnimation(downloadStatus);
@@ -657,9 +1514,48 @@ function createParticles() {
     }, 30000);
   
     try {
-      // EventSource for progress
+      const response = await fetch('/api/download', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ 
+          url, 
+          videoItag, 
+          audioItag,
+          title: currentVideoInfo ? currentVideoInfo.title : undefined,
+          ranges: getClipRanges(),
+          subtitles: getSubtitleOptions(),
+          infoJson: infoJsonToggle.checked,
+          squareCover: squareCoverToggle.checked,
+          postprocess: selectedPresets(extraOptions.mode || 'video'),
+          ...extraOptions,
+          proMode: proModeToggle.checked,
+          format: document.getElementById('formatSelect').value,
+          bitrate: document.getElementById('bitrateSelect').value,
+          retries: document.getElementById('retryInput').value
+        })
+      });
+  
+      if (response.status === 401) showAuthPanel();
+      if (!response.ok) throw await responseError(response, 'Download failed');
+  
+      const result = await response.json().catch(() => null);
+  
+      // Same video and options already downloaded: serve the stored file
+      if (result && result.existing) {
+        clearTimeout(downloadTimeout);
+        downloadComplete(result.existing.id, result.existing.file, result.existing.sidecars,
+          'This video was already in the library, so the stored file was used');
+        return;
+      }
+  
+      if (!result || !result.jobId) throw new Error('Server did not return a job id');
+      currentJobId = result.jobId;
+      if (result.joined) statusText.textContent = 'Joined an identical download that is already running...';
+      loadQueue();
+  
+      // EventSource for this job's progress only
       try {
-        eventSource = new EventSource(`/api/download/progress`);
+        eventSource = new EventSource(`/api/download/progress/${encodeURIComponent(currentJobId)}`);
       } catch (e) {
         console.error('Failed to create EventSource', e);
         statusText.textContent = "Realtime progress not available.";
@@ -677,51 +1573,23 @@ function createParticles() {
         });
   
         eventSource.onerror = (err) => {
+          if (downloadHandled) return;
           console.error('EventSource error:', err);
           statusText.textContent = "Realtime connection error. Progress may be delayed.";
           statusText.className = "status-text warning";
         };
       }
-  
-      const response = await fetch('/api/download', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ 
-          url, 
-          videoItag, 
-          audioItag,
-          proMode: proModeToggle.checked,
-          format: document.getElementById('formatSelect').value,
-          bitrate: document.getElementById('bitrateSelect').value,
-          retries: document.getElementById('retryInput').value
-        })
-      });
-  
-      if (!response.ok) {
-        const error = await response.json().catch(() => ({}));
-        throw new Error(error.error || 'Download failed');
-      }
-  
-      const result = await response.json().catch(() => null);
-      if (result && result.success) {
-        if (!downloadHandled) {
-          // wait a little UI time and then finish
-          setTimeout(() => {
-            downloadComplete(result.file);
-          }, 800);
-        }
-      }
     } catch (err) {
       if (eventSource) {
         try { closeEventSource(); } catch (e) {}
       }
       statusText.textContent = `Error: ${err.message}`;
       statusText.className = "status-text error";
+      if (err.status === 429) showErrorNotice(err);
+      if (err.reason === 'login') openCookiesPanel(lastDownloadRequest && lastDownloadRequest.url);
       console.error(err);
   
-      isDownloading = false;
       downloadHandled = false;
-      setDownloadButtonsDisabled(false);
       
       if (currentScanAnimation) {
         removeScanAnimation(currentScanAnimation);
@@ -730,18 +1598,21 @@ function createParticles() {
     }
   }
   
-  function downloadComplete(filename) {
+  function downloadComplete(id, filename, sidecars = [], reusedMessage = null) {
     if (downloadFinalized) return;
     downloadFinalized = true;
     downloadHandled = true;
+    completedFileId = id;
   
     console.log('Download complete! File:', filename);
   
-    isDownloading = false;
-    setDownloadButtonsDisabled(false);
   
     downloadStatus.style.display = 'none';
     completedDownload.style.display = 'block';
+    completedMessage.textContent = reusedMessage || 'Your video has been saved to your device';
+    forceDownloadBtn.style.display = reusedMessage ? 'inline-flex' : 'none';
+    renderSidecarLinks(id, sidecars);
+    renderPreview(id, filename);
   
     // remove scan animation if present
     if (currentScanAnimation) {
@@ -751,8 +1622,8 @@ function createParticles() {
   
     setTimeout(() => {
       const downloadLink = document.createElement('a');
-      downloadLink.href = `/downloads/${filename}`;
-      downloadLink.download = filename;
+      downloadLink.href = fileUrl(id);
+      downloadLink.download = filename.split('/').pop();
       downloadLink.style.display = 'none';
       document.body.appendChild(downloadLink);
   
@@ -767,23 +1638,79 @@ function createParticles() {
     }, 500);
   }
   
+  // Extensions the browser can play; anything else only gets the download
+  const previewTypes = {
+    video: ['mp4', 'm4v', 'webm', 'mov'],
+    audio: ['mp3', 'm4a', 'aac', 'opus', 'ogg', 'wav', 'flac']
+  };
+  
+  function renderPreview(id, filename) {
+    clearPreview();
+    const ext = filename.split('.').pop().toLowerCase();
+    const kind = Object.keys(previewTypes).find(type => previewTypes[type].includes(ext));
+    if (!kind) return;
+  
+    const player = document.createElement(kind);
+    player.controls = true;
+    player.preload = 'metadata';
+    player.src = fileUrl(id, { inline: 1 });
+    previewPlayer.appendChild(player);
+  }
+  
+  function clearPreview() {
+    const player = previewPlayer.querySelector('video, audio');
+    if (player) {
+      player.pause();
+      player.removeAttribute('src');
+      player.load();
+    }
+    previewPlayer.innerHTML = '';
+  }
+  
+  // Signed link that works without signing in until it expires
+  shareLinkBtn.addEventListener('click', async () => {
+    if (!completedFileId) return;
+    try {
+      const response = await fetch(`/api/files/${encodeURIComponent(completedFileId)}/link`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+      if (!response.ok) throw await responseError(response, 'Failed to create a share link');
+      const link = await response.json();
+      const until = new Date(link.expiresAt).toLocaleString();
+  
+      try {
+        await navigator.clipboard.writeText(link.url);
+        showNotice(`Share link copied. It works until ${until}`, { type: 'info' });
+      } catch (e) {
+        showNotice(`Share link (valid until ${until}): ${link.url}`, { type: 'info' });
+      }
+    } catch (err) {
+      showErrorNotice(err);
+    }
+  });
+  
   function resetDownloader() {
     completedDownload.style.display = 'none';
+    sidecarLinks.innerHTML = '';
+    clearPreview();
+    completedFileId = null;
     qualityOptions.style.display = 'grid';
     downloadStatus.style.display = 'none';
     videoUrl.value = '';
     videoUrl.focus();
     progressFill.style.width = '0%';
     statusText.textContent = "Preparing download...";
+    statusDetails.textContent = '';
     statusText.className = "status-text";
   
     closeEventSource();
     clearTimeout(downloadTimeout);
   
-    isDownloading = false;
     downloadHandled = false;
     downloadFinalized = false;
-    setDownloadButtonsDisabled(false);
+    currentJobId = null;
   
     if (currentScanAnimation) {
       removeScanAnimation(currentScanAnimation);
@@ -824,9 +1751,10 @@ function createParticles() {
   }
   
   // Initialize on load
-  window.addEventListener('load', () => {
+  window.addEventListener('load', async () => {
     createParticles();
     loadTheme();
+    if (await checkAuth()) loadQueue();
     
     // Auto theme by time
     const hour = new Date().getHours();
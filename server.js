@@ -3,159 +3,642 @@ const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const EventEmitter = require('events');
-const util = require('util');
 const os = require('os');
 const axios = require('axios');
 const stream = require('stream');
 const { promisify } = require('util');
+const { loadConfig } = require('./lib/config');
+const { resolveTools, checkTools } = require('./lib/tools');
+const { createJobQueue, isFinal, STATES } = require('./lib/jobQueue');
+const { createLibrary } = require('./lib/library');
+const { createInfoCache } = require('./lib/infoCache');
+const { createUserStore, publicUser, ROLES } = require('./lib/users');
+const { createAuth } = require('./lib/auth');
+const {
+  limitError,
+  createRateLimiter,
+  createConcurrencyLimit,
+  createQuotas,
+  estimateFilesize,
+  checkMediaLimits,
+  filesizeProblem
+} = require('./lib/limits');
+const { checkUrl, checkExtractor, checkPublicUrl, publicRequestOptions } = require('./lib/urlPolicy');
+const { createRetention } = require('./lib/retention');
+const { loadLinkSecret, createLinkSigner } = require('./lib/links');
+const { createCookieStore, accessProblem } = require('./lib/cookies');
+const {
+  formatUploadDate,
+  fileTags,
+  fileChapters,
+  ffmetadata,
+  archiveInfo
+} = require('./lib/metadata');
+const { thumbnailCandidates, normalizeThumbnail } = require('./lib/thumbnails');
+const { PRESETS, listPresets, parsePresetOptions, runPreset } = require('./lib/presets');
+const { downloadKey } = require('./lib/dedupe');
+const { apiError, toolError, toApiError, errorBody } = require('./lib/apiErrors');
+const { validate, coerceQuery } = require('./lib/schema');
+const { requests, openApiDocument } = require('./lib/openapi');
+const {
+  validateTemplate,
+  templateValues,
+  renderTemplate,
+  applyOutputName,
+  contentDisposition
+} = require('./lib/filenames');
+const {
+  QUALITY_RULES,
+  AUDIO_CODECS,
+  DEFAULT_RETRIES,
+  validateDownloadOptions,
+  checkFormatCompatibility,
+  buildFormatArgs
+} = require('./lib/formats');
+const {
+  parseClipRanges,
+  describeClips,
+  clipsDuration,
+  sectionArgs,
+  concatFiles,
+  trimToClips
+} = require('./lib/clips');
+const {
+  PHASE_STATUS,
+  POSTPROCESS_PROGRESS,
+  METADATA_PROGRESS,
+  progressArgs,
+  createProgressTracker,
+  onLines
+} = require('./lib/progress');
+const {
+  SUBTITLE_CODECS,
+  listSubtitles,
+  parseSubtitleOptions,
+  subtitleArgs,
+  findSubtitleFiles,
+  burnSubtitles
+} = require('./lib/subtitles');
 
 const pipeline = promisify(stream.pipeline);
-const promisifiedExec = util.promisify(require('child_process').exec);
+
+// Settings come from config.json and environment variables (see lib/config.js)
+const config = loadConfig();
+
+const templateError = validateTemplate(config.outputTemplate);
+if (templateError) throw new Error(`Invalid outputTemplate: ${templateError}`);
 
 const app = express();
-const PORT = 3000;
+const PORT = config.port;
 app.use(express.json());
 
-const downloadsDir = path.join(__dirname, 'downloads');
-if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir);
+const downloadsDir = config.downloadsDir;
+if (!fs.existsSync(downloadsDir)) fs.mkdirSync(downloadsDir, { recursive: true });
 
-const progressEmitter = new EventEmitter();
+const dataDir = config.dataDir;
 
-// FFmpeg path configuration
-const ffmpegPath = 'C:\\ffmpeg\\bin\\ffmpeg.exe';
-process.env.PATH = `${process.env.PATH};${path.dirname(ffmpegPath)}`;
+// Temp files younger than this may still belong to a running ffmpeg, so
+// sweeps while the server runs leave them alone
+const ORPHAN_GRACE_MS = 60 * 60 * 1000;
 
-// Startup checks
-async function checkCmdVersion(cmd, args = ['--version']) {
-  try {
-    const safeCmd = /\s/.test(cmd) ? `"${cmd}"` : cmd;
-    const { stdout, stderr } = await promisifiedExec(`${safeCmd} ${args.join(' ')}`);
-    if (stderr) return { ok: true, version: stderr.split('\n')[0] || '' };
-    return { ok: true, version: stdout.split('\n')[0] || '' };
-  } catch (e) {
-    return { ok: false, error: e.message };
+// Download queue: jobs are persisted to disk and at most
+// MAX_CONCURRENT_DOWNLOADS yt-dlp processes run at the same time.
+const MAX_CONCURRENT_DOWNLOADS = config.maxConcurrentDownloads;
+
+const queue = createJobQueue({
+  file: path.join(dataDir, 'jobs.json'),
+  concurrency: MAX_CONCURRENT_DOWNLOADS,
+  runner: (job, ctx) => runDownload(job, ctx),
+  cleanup: (job) => removeJobFiles(job.id)
+});
+
+// Library of finished downloads, shared by everyone using this server
+const library = createLibrary({ file: path.join(dataDir, 'library.json'), dir: downloadsDir });
+library.prune();
+
+// Downloads finished before the library existed are only known to the queue
+queue.list()
+  .filter(job => job.state === STATES.DONE && job.file && !library.get(job.id))
+  .filter(job => fs.existsSync(path.join(downloadsDir, job.file)))
+  .forEach(job => library.add({
+    id: job.id,
+    file: job.file,
+    sidecars: job.sidecars,
+    url: job.url,
+    title: job.title,
+    mode: job.options && job.options.mode,
+    ownerId: job.ownerId,
+    size: fs.statSync(path.join(downloadsDir, job.file)).size
+  }));
+
+// Retention: age and size limits for the library, a free-space floor for
+// new jobs and a sweep for files crashed runs left behind
+const retention = createRetention({
+  dir: downloadsDir,
+  library,
+  isJobUnfinished: (id) => {
+    const job = queue.get(id);
+    return !!job && !isFinal(job);
+  },
+  isJobAbandoned: (id) => {
+    const job = queue.get(id);
+    return !!job && [STATES.FAILED, STATES.CANCELLED].includes(job.state);
+  },
+  // The queue's record would otherwise point at a file that is gone
+  onRemove: (entry) => {
+    if (queue.get(entry.id)) queue.remove(entry.id);
+  },
+  maxAgeMs: config.retention.maxAgeMs,
+  maxTotalBytes: config.retention.maxTotalBytes,
+  minFreeBytes: config.retention.minFreeBytes
+});
+// Nothing runs yet, so every temp file is an orphan
+retention.run();
+setInterval(() => retention.run({ minAgeMs: ORPHAN_GRACE_MS }), config.retention.intervalMs).unref();
+
+// Share links: anyone holding one may fetch that entry's files until it expires
+const links = createLinkSigner(loadLinkSecret(config.links.secret, path.join(dataDir, 'link-secret')));
+
+// cookies.txt files for sites that need a signed-in account, shared or per user
+const cookieStore = createCookieStore({ dir: path.join(dataDir, 'cookies') });
+
+// Optional accounts. With auth enabled every job, library entry and file
+// belongs to the user who started it; admins see everything.
+const users = createUserStore({ file: path.join(dataDir, 'users.json'), sessionTtlMs: config.auth.sessionTtlMs });
+const auth = createAuth({ enabled: config.auth.enabled, users, sessionTtlMs: config.auth.sessionTtlMs });
+app.use(auth.authenticate);
+
+// Owner filter for lists: everything for admins (and with auth off),
+// otherwise the user's own records
+function ownerFilter(user) {
+  return auth.isAdmin(user) ? undefined : user.id;
+}
+
+// Abuse protection (see config.limits). Requests that start yt-dlp or try a
+// password are rate limited per user when signed in, otherwise per IP.
+const ipLimiter = createRateLimiter({ windowMs: config.limits.rateWindowMs, max: config.limits.requestsPerIp });
+const userLimiter = createRateLimiter({ windowMs: config.limits.rateWindowMs, max: config.limits.requestsPerUser });
+
+// Counts the request; returns the limit error when it is one too many
+// Every request counts against its IP address, signed in or not, so one
+// host can't spread its requests over several accounts; signed-in users
+// also have a limit of their own
+function rateLimitError(req, res) {
+  const results = [ipLimiter.hit(`ip:${req.ip}`)];
+  if (req.user) results.push(userLimiter.hit(`user:${req.user.id}`));
+
+  const remaining = results.map(result => result.remaining).filter(value => value !== null);
+  if (remaining.length) res.set('RateLimit-Remaining', String(Math.min(...remaining)));
+  const refused = results.filter(result => !result.allowed);
+  if (!refused.length) return null;
+  return limitError('Too many requests, please slow down', {
+    retryAfter: Math.max(...refused.map(result => result.retryAfter)),
+    limit: 'rate'
+  });
+}
+
+function rateLimit(req, res, next) {
+  const err = rateLimitError(req, res);
+  if (!err) return next();
+  sendLimitError(res, err);
+}
+
+function sendLimitError(res, err) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status).json({ error: err.message, limit: err.limit, retryAfter: err.retryAfter });
+}
+
+// Errors of the original /api routes keep the shape they always had:
+// { error, details } plus limit and retryAfter, or reason, where they apply
+function sendLegacyError(res, err) {
+  if (!err.status) console.error('Request failed:', err);
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  res.status(err.status || 500).json({
+    error: err.message,
+    limit: err.limit,
+    retryAfter: err.retryAfter,
+    reason: err.reason,
+    details: err.details
+  });
+}
+
+// Every yt-dlp info process goes through this, whoever asked for it
+const infoLookups = createConcurrencyLimit({
+  max: config.limits.maxInfoLookups,
+  maxWaiting: config.limits.maxWaitingInfoLookups
+});
+
+// Daily allowances, counted per user (per IP without accounts). Signed-in
+// admins aren't counted.
+const quotas = createQuotas({
+  file: path.join(dataDir, 'quotas.json'),
+  dailyDownloads: config.limits.dailyDownloads,
+  dailyBytes: config.limits.dailyBytes
+});
+
+function quotaKey(req) {
+  if (req.user && req.user.role === 'admin') return null;
+  return req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+}
+
+// Checks the video against the maximum duration and file size; clips only
+// count with the part that is kept. Returns an error message or null.
+function mediaLimitProblem(info, options) {
+  const clips = options.clips || [];
+  const fullDuration = info.duration || null;
+  const durationSeconds = clips.length ? clipsDuration(clips, fullDuration) : fullDuration;
+
+  let estimatedBytes = estimateFilesize(info, options);
+  if (estimatedBytes && clips.length && fullDuration && durationSeconds) {
+    estimatedBytes = Math.round(estimatedBytes * durationSeconds / fullDuration);
   }
+  return checkMediaLimits(info, { durationSeconds, estimatedBytes }, config.limits);
 }
 
-async function init() {
-  const ytCheck = await checkCmdVersion('yt-dlp', ['--version']);
-  const ffCheck = await checkCmdVersion(ffmpegPath, ['-version']);
+// Returns the job if this user may see it; 404 otherwise, so other users'
+// job ids can't be probed
+function ownJob(req, res) {
+  const job = queue.get(req.params.jobId);
+  if (job && auth.canAccess(req.user, job)) return job;
+  res.status(404).json({ error: 'Unknown job' });
+  return null;
+}
 
-  console.log('yt-dlp:', ytCheck);
-  console.log('ffmpeg:', ffCheck);
+// Tool paths: configured, or discovered on PATH and the usual install
+// locations for this OS. Bare command names are the last resort.
+const tools = resolveTools(config.tools);
+const ytDlpPath = tools.ytDlp.path || 'yt-dlp';
+const ffmpegPath = tools.ffmpeg.path || 'ffmpeg';
+
+// yt-dlp info JSON shared by /api/info and the download jobs, so a download
+// doesn't re-run --dump-json for a video the browser just looked up
+const infoCache = createInfoCache({
+  fetch: (url) => infoLookups.run(() => fetchInfoJson(url, { cookies: cookieFile(url, null) })),
+  ttlMs: config.infoCache.ttlMs,
+  maxEntries: config.infoCache.maxEntries
+});
 
-  if (!ytCheck.ok) console.warn('⚠️ yt-dlp not found or not runnable by this Node process.');
-  if (!ffCheck.ok) console.warn('⚠️ ffmpeg not found or not runnable by this Node process.');
+// Path of the cookies.txt yt-dlp should use for this URL and user, or null
+function cookieFile(url, ownerId) {
+  const match = cookieStore.fileFor(url, ownerId);
+  return match ? match.file : null;
 }
 
-init();
+// Info of a single video as this user sees it. Lookups with the user's own
+// cookies bypass the shared cache: what they reveal is theirs alone.
+function lookupInfo(url, ownerId, { refresh = false } = {}) {
+  const cookies = cookieStore.fileFor(url, ownerId);
+  if (cookies && !cookies.shared) return infoLookups.run(() => fetchInfoJson(url, { cookies: cookies.file }));
+  return infoCache.get(url, { refresh });
+}
 
-// Get video info endpoint
-app.post('/api/info', async (req, res) => {
-  const videoUrl = req.body.url;
-  if (!videoUrl) return res.status(400).json({ error: 'Missing URL' });
+// 403 with a readable message when yt-dlp failed because the video needs
+// an account or is geo-blocked; false for every other failure
+function sendAccessProblem(res, err, url, ownerId) {
+  const problem = accessProblem(err.message, { usedCookies: !!cookieFile(url, ownerId) });
+  if (!problem) return false;
+  res.status(403).json({ error: problem.message, reason: problem.reason, details: err.message });
+  return true;
+}
 
-  try {
-    const args = [
-      '--dump-json',
-      '--no-warnings',
-      '--ignore-errors',
-      '--no-check-certificates',
-      videoUrl
-    ];
+// Each job keeps the info JSON it started from in data/info/<id>.json
+const jobInfoDir = path.join(dataDir, 'info');
 
-    const proc = spawn('yt-dlp', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    let data = '';
-    let errorOutput = '';
+function jobInfoPath(id) {
+  return path.join(jobInfoDir, `${id}.json`);
+}
 
-    proc.stdout.on('data', (chunk) => {
-      data += chunk.toString();
-    });
+function saveJobInfo(id, info) {
+  fs.mkdirSync(jobInfoDir, { recursive: true });
+  fs.writeFileSync(jobInfoPath(id), JSON.stringify(info));
+}
 
-    proc.stderr.on('data', (chunk) => {
-      errorOutput += chunk.toString();
-    });
+// The job's saved info JSON, or a (cached) lookup that is then saved
+async function loadJobInfo(job) {
+  const file = jobInfoPath(job.id);
+  if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const info = await lookupInfo(job.url, job.ownerId);
+  saveJobInfo(job.id, info);
+  return info;
+}
+
+// Startup checks; the result is reported by /api/health
+let toolStatus = null;
 
-    proc.on('error', (err) => {
-      console.error('yt-dlp spawn error:', err);
-      return res.status(500).json({ error: 'Failed to start yt-dlp', details: err.message });
+async function init() {
+  toolStatus = await checkTools(tools);
+
+  console.log('yt-dlp:', toolStatus.ytDlp);
+  console.log('ffmpeg:', toolStatus.ffmpeg);
+  console.log('ffprobe:', toolStatus.ffprobe);
+
+  if (!toolStatus.ytDlp.ok) console.warn('⚠️ yt-dlp not found or not runnable by this Node process.');
+  if (!toolStatus.ffmpeg.ok) console.warn('⚠️ ffmpeg not found or not runnable by this Node process.');
+
+  // ADMIN_USERNAME/ADMIN_PASSWORD create the first admin on an empty
+  // server; otherwise the first visitor is asked to set one up
+  if (config.auth.enabled && users.count() === 0 && process.env.ADMIN_USERNAME) {
+    const result = await users.create({
+      username: process.env.ADMIN_USERNAME,
+      password: process.env.ADMIN_PASSWORD,
+      role: 'admin'
     });
+    if (result.error) console.warn('⚠️ Could not create the admin account:', result.error);
+    else console.log(`Created admin account "${result.user.username}"`);
+  }
+}
 
-    proc.on('close', (code) => {
-      if (code !== 0) {
-        console.error('yt-dlp error:', errorOutput || `exit code ${code}`);
-        return res.status(500).json({ error: 'Failed to get video info', details: errorOutput || `exit code ${code}` });
-      }
+init();
 
-      try {
-        const info = JSON.parse(data);
+// Health check: tool versions and the effective (non-secret) settings.
+// With auth enabled only admins get the details.
+async function healthReport(req) {
+  if (!toolStatus || req.query.refresh === 'true') toolStatus = await checkTools(tools);
+
+  // yt-dlp and ffmpeg are both required for a usable download
+  const ok = toolStatus.ytDlp.ok && toolStatus.ffmpeg.ok;
+  const status = ok ? 'ok' : 'degraded';
+  if (!auth.isAdmin(req.user)) return { ok, body: { status } };
+
+  const body = {
+    status,
+    tools: toolStatus,
+    config: {
+      file: config.file,
+      port: config.port,
+      downloadsDir: config.downloadsDir,
+      dataDir: config.dataDir,
+      maxConcurrentDownloads: config.maxConcurrentDownloads,
+      timeouts: config.timeouts,
+      authEnabled: config.auth.enabled,
+      limits: config.limits
+    },
+    infoCache: infoCache.stats(),
+    infoLookups: infoLookups.stats()
+  };
+  return { ok, body };
+}
 
-        const videoFormats = (info.formats || [])
-          .filter(f => f.vcodec !== 'none')
-          .map(f => {
-            let sizeMB = 0;
-            if (f.filesize) {
-              sizeMB = Math.round(f.filesize / (1024 * 1024));
-            } else if (f.filesize_approx) {
-              sizeMB = Math.round(f.filesize_approx / (1024 * 1024));
-            }
+app.get('/api/health', async (req, res) => {
+  const { ok, body } = await healthReport(req);
+  res.status(ok ? 200 : 503).json(body);
+});
 
-            return {
-              resolution: f.format_note || (f.height ? `${f.height}p` : 'Unknown'),
-              codec: [f.vcodec, f.acodec].filter(Boolean).join('+'),
-              container: f.ext,
-              sizeMB: sizeMB,
-              bitrate: f.tbr || 0,
-              itag: f.format_id,
-              hasAudio: f.acodec !== 'none'
-            };
-          })
-          .sort((a, b) => {
-            const aRes = parseInt(a.resolution) || 0;
-            const bRes = parseInt(b.resolution) || 0;
-            return bRes - aRes;
-          });
+// Account endpoints. The web UI logs in with a session cookie; scripts send
+// `Authorization: Bearer <token>` with a token from /api/tokens.
+app.get('/api/auth/me', (req, res) => {
+  res.json({
+    authEnabled: auth.enabled,
+    setupRequired: auth.enabled && users.count() === 0,
+    user: req.user ? publicUser(req.user) : null
+  });
+});
 
-        const audioFormats = (info.formats || [])
-          .filter(f => f.acodec !== 'none' && f.vcodec === 'none')
-          .map(f => ({
-            itag: f.format_id,
-            bitrate: f.tbr || 0,
-            container: f.ext
-          }))
-          .sort((a, b) => b.bitrate - a.bitrate);
-
-        let date = 'Unknown';
-        if (info.upload_date) {
-          date = formatDate(info.upload_date);
-        } else if (info.release_timestamp) {
-          date = new Date(info.release_timestamp * 1000).toLocaleDateString();
-        }
+// Creates the first account, which is an admin; only while there is none
+app.post('/api/auth/setup', rateLimit, async (req, res) => {
+  if (!auth.enabled) return res.status(400).json({ error: 'Authentication is disabled' });
+  if (users.count() > 0) return res.status(409).json({ error: 'Setup has already been completed' });
 
-        res.json({
-          title: info.title || 'Untitled Video',
-          thumbnail: info.thumbnail || 'https://via.placeholder.com/800x450',
-          duration: formatDuration(info.duration || 0),
-          views: formatViews(info.view_count || 0),
-          date: date,
-          formats: videoFormats,
-          audioFormats: audioFormats,
-          uploader: info.uploader || 'Unknown'
-        });
-      } catch (parseError) {
-        console.error('JSON parse error:', parseError);
-        res.status(500).json({ error: 'Failed to parse video info', details: parseError.message });
-      }
-    });
+  const result = await users.create({ username: req.body.username, password: req.body.password, role: 'admin', firstUserOnly: true });
+  if (result.error) return res.status(result.conflict ? 409 : 400).json({ error: result.error });
+
+  auth.setSessionCookie(req, res, users.startSession(result.user.id));
+  res.json({ user: publicUser(result.user) });
+});
+
+app.post('/api/auth/login', rateLimit, async (req, res) => {
+  if (!auth.enabled) return res.status(400).json({ error: 'Authentication is disabled' });
+
+  const user = await users.authenticate(req.body.username, req.body.password);
+  if (!user) return res.status(401).json({ error: 'Wrong username or password' });
+
+  auth.setSessionCookie(req, res, users.startSession(user.id));
+  res.json({ user: publicUser(user) });
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const sessionId = auth.sessionIdOf(req);
+  if (sessionId) users.endSession(sessionId);
+  auth.clearSessionCookie(res);
+  res.json({ success: true });
+});
+
+app.post('/api/auth/password', auth.requireUser, rateLimit, async (req, res) => {
+  if (!auth.enabled) return res.status(400).json({ error: 'Authentication is disabled' });
+
+  const current = await users.authenticate(req.user.username, req.body.currentPassword);
+  if (!current) return res.status(401).json({ error: 'Current password is wrong' });
+
+  const result = await users.setPassword(req.user.id, req.body.newPassword);
+  if (result.error) return res.status(400).json({ error: result.error });
+
+  // Changing the password signs out every other session; keep this one
+  auth.setSessionCookie(req, res, users.startSession(req.user.id));
+  res.json({ user: publicUser(result.user) });
+});
+
+// Storage status and housekeeping (admins only). A cleanup run sweeps
+// orphaned temp files and applies the age and size limits right away.
+app.get('/api/admin/storage', auth.requireAdmin, (req, res) => {
+  res.json(retention.status());
+});
+
+app.post('/api/admin/storage/cleanup', auth.requireAdmin, (req, res) => {
+  res.json(retention.run({ minAgeMs: ORPHAN_GRACE_MS }));
+});
+
+// Today's usage against the daily download and data allowances
+app.get('/api/quota', auth.requireUser, (req, res) => {
+  const key = quotaKey(req);
+  res.json(key ? quotas.report(key) : { unlimited: true });
+});
+
+// API tokens of the signed-in user. The token itself is only returned once.
+app.get('/api/tokens', auth.requireUser, (req, res) => {
+  if (!req.user) return res.status(400).json({ error: 'Authentication is disabled' });
+  res.json({ tokens: publicUser(req.user).tokens });
+});
+
+app.post('/api/tokens', auth.requireUser, (req, res) => {
+  if (!req.user) return res.status(400).json({ error: 'Authentication is disabled' });
+  const { token, secret } = users.createToken(req.user.id, req.body.name);
+  res.json({ id: token.id, name: token.name, token: secret });
+});
+
+app.delete('/api/tokens/:tokenId', auth.requireUser, (req, res) => {
+  if (!req.user) return res.status(400).json({ error: 'Authentication is disabled' });
+  if (!users.revokeToken(req.user.id, req.params.tokenId)) return res.status(404).json({ error: 'Unknown token' });
+  res.json({ success: true });
+});
+
+// cookies.txt uploads for sites that need an account. The file is sent as
+// the text/plain body; shared files (admins only) apply to every user, the
+// others only to their owner. Contents are never sent back.
+app.get('/api/cookies', auth.requireUser, (req, res) => {
+  res.json({ cookieFiles: cookieStore.list(auth.ownerOf(req.user)) });
+});
+
+app.put('/api/cookies/:domain', auth.requireUser, express.text({ type: '*/*', limit: '1mb' }), (req, res) => {
+  const shared = !req.user || req.query.shared === 'true';
+  if (shared && !auth.isAdmin(req.user)) return res.status(403).json({ error: 'Only admins can share cookies with everyone' });
+
+  const result = cookieStore.save({
+    domain: req.params.domain,
+    ownerId: shared ? null : req.user.id,
+    content: typeof req.body === 'string' ? req.body : ''
+  });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ cookieFile: result.cookieFile });
+});
+
+app.delete('/api/cookies/:domain', auth.requireUser, (req, res) => {
+  const shared = !req.user || req.query.shared === 'true';
+  if (shared && !auth.isAdmin(req.user)) return res.status(403).json({ error: 'Only admins can remove shared cookies' });
+
+  if (!cookieStore.remove(req.params.domain, shared ? null : req.user.id)) {
+    return res.status(404).json({ error: 'No cookies stored for this site' });
+  }
+  res.json({ success: true });
+});
+
+// User management (admins only)
+app.get('/api/users', auth.requireAdmin, (req, res) => {
+  res.json({ users: users.list().map(publicUser) });
+});
+
+app.post('/api/users', auth.requireAdmin, async (req, res) => {
+  if (!auth.enabled) return res.status(400).json({ error: 'Authentication is disabled' });
+  const { username, password, role = 'user' } = req.body;
+  if (!ROLES.includes(role)) return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+
+  const result = await users.create({ username, password, role });
+  if (result.error) return res.status(400).json({ error: result.error });
+  res.json({ user: publicUser(result.user) });
+});
+
+// Their jobs and files stay; admins can still see and remove them. Their
+// cookies go with the account.
+app.delete('/api/users/:userId', auth.requireAdmin, (req, res) => {
+  if (!auth.enabled) return res.status(400).json({ error: 'Authentication is disabled' });
+  if (req.params.userId === req.user.id) return res.status(409).json({ error: 'You cannot delete your own account' });
+  if (!users.remove(req.params.userId)) return res.status(404).json({ error: 'Unknown user' });
+  cookieStore.removeOwner(req.params.userId);
+  res.json({ success: true });
+});
+
+// Playlist mode lists the entries instead of resolving a single video.
+// `playlist` true or false forces it; otherwise the URL decides.
+function isPlaylistRequest(url, playlist) {
+  return playlist === true || (playlist !== false && isPlaylistUrl(url));
+}
+
+// Video info, or the entries of a playlist, for /api/info and
+// /api/v1/info. URL and extractor policy refusals are thrown as coded
+// errors, limits as limit errors and yt-dlp failures as they are.
+async function infoPayload(url, ownerId, { playlist, refresh } = {}) {
+  const urlProblem = checkUrl(url, config.urls);
+  if (urlProblem) throw apiError('UNSUPPORTED_URL', urlProblem);
+
+  if (isPlaylistRequest(url, playlist)) {
+    const cookies = cookieFile(url, ownerId);
+    const result = await infoLookups.run(() => fetchPlaylistInfo(url, { cookies }));
+    const extractorProblem = checkExtractor(result, config.urls);
+    if (extractorProblem) throw apiError('UNSUPPORTED_URL', extractorProblem);
+    // Entries the policy refuses couldn't be queued anyway
+    result.entries = result.entries.filter(entry => !checkUrl(entry.url, config.urls));
+    return result;
+  }
+
+  const info = await lookupInfo(url, ownerId, { refresh: refresh === true });
+  const extractorProblem = checkExtractor(info, config.urls);
+  if (extractorProblem) throw apiError('UNSUPPORTED_URL', extractorProblem);
+  return videoInfoPayload(info);
+}
+
+// Get video info endpoint
+app.post('/api/info', auth.requireUser, rateLimit, async (req, res) => {
+  const videoUrl = req.body.url;
+  const ownerId = auth.ownerOf(req.user);
+  try {
+    res.json(await infoPayload(videoUrl, ownerId, req.body));
   } catch (err) {
-    console.error('Video info error:', err);
-    res.status(500).json({ error: 'Failed to get video info', details: err.message });
+    // Policy refusals and limits
+    if (err.status) return sendLegacyError(res, err);
+    const playlist = isPlaylistRequest(videoUrl, req.body.playlist);
+    console.error(playlist ? 'Playlist info error:' : 'yt-dlp error:', err.message);
+    if (sendAccessProblem(res, err, videoUrl, ownerId)) return;
+    res.status(500).json({ error: `Failed to get ${playlist ? 'playlist' : 'video'} info`, details: err.message });
   }
 });
 
-// SSE endpoint for progress updates
-app.get('/api/download/progress', (req, res) => {
+// What the results card shows for a single video
+function videoInfoPayload(info) {
+  const videoFormats = (info.formats || [])
+    .filter(f => f.vcodec !== 'none')
+    .map(f => {
+      let sizeMB = 0;
+      if (f.filesize) {
+        sizeMB = Math.round(f.filesize / (1024 * 1024));
+      } else if (f.filesize_approx) {
+        sizeMB = Math.round(f.filesize_approx / (1024 * 1024));
+      }
+
+      return {
+        resolution: f.format_note || (f.height ? `${f.height}p` : 'Unknown'),
+        codec: [f.vcodec, f.acodec].filter(Boolean).join('+'),
+        container: f.ext,
+        sizeMB: sizeMB,
+        bitrate: f.tbr || 0,
+        itag: f.format_id,
+        hasAudio: f.acodec !== 'none'
+      };
+    })
+    .sort((a, b) => {
+      const aRes = parseInt(a.resolution) || 0;
+      const bRes = parseInt(b.resolution) || 0;
+      return bRes - aRes;
+    });
+
+  const audioFormats = (info.formats || [])
+    .filter(f => f.acodec !== 'none' && f.vcodec === 'none')
+    .map(f => ({
+      itag: f.format_id,
+      bitrate: f.tbr || 0,
+      container: f.ext
+    }))
+    .sort((a, b) => b.bitrate - a.bitrate);
+
+  let date = 'Unknown';
+  if (info.upload_date) {
+    date = formatDate(info.upload_date);
+  } else if (info.release_timestamp) {
+    date = new Date(info.release_timestamp * 1000).toLocaleDateString();
+  }
+
+  return {
+    type: 'video',
+    title: info.title || 'Untitled Video',
+    thumbnail: info.thumbnail || 'https://via.placeholder.com/800x450',
+    duration: formatDuration(info.duration || 0),
+    durationSeconds: info.duration || 0,
+    views: formatViews(info.view_count || 0),
+    date: date,
+    formats: videoFormats,
+    audioFormats: audioFormats,
+    subtitles: listSubtitles(info),
+    audioTargets: Object.keys(AUDIO_CODECS).map(codec => ({
+      codec,
+      bitrates: AUDIO_CODECS[codec].bitrates || [],
+      lossless: !!AUDIO_CODECS[codec].lossless
+    })),
+    uploader: info.uploader || 'Unknown'
+  };
+}
+
+// Streams a job's progress as server-sent events until it finishes or the
+// client goes away
+function streamJobProgress(req, res, jobId) {
   res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
   res.setHeader('Cache-Control', 'no-cache');
   res.setHeader('Connection', 'keep-alive');
@@ -164,69 +647,290 @@ app.get('/api/download/progress', (req, res) => {
   const progressHandler = (data) => {
     res.write(`event: progress\n`);
     res.write(`data: ${JSON.stringify(data)}\n\n`);
+    if (data.complete || data.error) res.end();
   };
 
-  progressEmitter.on('progress', progressHandler);
+  // The current snapshot is replayed first so late subscribers don't miss anything
+  const unsubscribe = queue.subscribe(jobId, progressHandler);
 
   req.on('close', () => {
-    progressEmitter.off('progress', progressHandler);
+    unsubscribe();
     try { res.end(); } catch (e) { /* ignore */ }
   });
+}
+
+// SSE endpoint for progress updates of a single job
+app.get('/api/download/progress/:jobId', auth.requireUser, (req, res) => {
+  if (ownJob(req, res)) streamJobProgress(req, res, req.params.jobId);
+});
+
+// Queue management endpoints
+app.get('/api/jobs', auth.requireUser, (req, res) => {
+  const ownerId = ownerFilter(req.user);
+  let jobList = queue.list().filter(job => ownerId === undefined || job.ownerId === ownerId);
+  if (req.query.batch) jobList = jobList.filter(job => job.batchId === req.query.batch);
+  res.json({ jobs: jobList, concurrency: MAX_CONCURRENT_DOWNLOADS });
+});
+
+app.get('/api/jobs/:jobId', auth.requireUser, (req, res) => {
+  const job = ownJob(req, res);
+  if (job) res.json(job);
+});
+
+app.post('/api/jobs/:jobId/cancel', auth.requireUser, (req, res) => {
+  if (!ownJob(req, res)) return;
+  const result = queue.cancel(req.params.jobId);
+  if (!result.ok) return res.status(queue.get(req.params.jobId) ? 409 : 404).json({ error: result.reason });
+  res.json(result.job);
+});
+
+app.post('/api/jobs/:jobId/pause', auth.requireUser, (req, res) => {
+  if (!ownJob(req, res)) return;
+  const result = queue.pause(req.params.jobId);
+  if (!result.ok) return res.status(queue.get(req.params.jobId) ? 409 : 404).json({ error: result.reason });
+  res.json(result.job);
+});
+
+app.post('/api/jobs/:jobId/resume', auth.requireUser, (req, res) => {
+  if (!ownJob(req, res)) return;
+  const result = queue.resume(req.params.jobId);
+  if (!result.ok) return res.status(queue.get(req.params.jobId) ? 409 : 404).json({ error: result.reason });
+  res.json(result.job);
+});
+
+app.delete('/api/jobs/:jobId', auth.requireUser, (req, res) => {
+  if (!ownJob(req, res)) return;
+  const result = queue.remove(req.params.jobId);
+  if (!result.ok) return res.status(queue.get(req.params.jobId) ? 409 : 404).json({ error: result.reason });
+  res.json({ success: true });
 });
 
-// embedMetadata: downloads thumbnail if needed, then attaches it as cover art
+app.delete('/api/jobs', auth.requireUser, (req, res) => {
+  const ownerId = ownerFilter(req.user);
+  res.json({ removed: queue.clearFinished(job => ownerId === undefined || job.ownerId === ownerId) });
+});
+
+// Library endpoints: ?q= searches, ?sort=date|title|uploader|size|duration
+// with ?order=asc|desc, ?limit=&offset= page through the results
+app.get('/api/library', auth.requireUser, (req, res) => {
+  const { q, sort, order, limit, offset } = req.query;
+  const result = library.list({ q, sort, order, limit, offset, ownerId: ownerFilter(req.user) });
+  res.json({
+    entries: result.entries.map(libraryEntryPayload),
+    total: result.total
+  });
+});
+
+app.get('/api/library/:id', auth.requireUser, (req, res) => {
+  const entry = library.get(req.params.id);
+  if (!entry || !auth.canAccess(req.user, entry)) return res.status(404).json({ error: 'Unknown library entry' });
+  res.json(libraryEntryPayload(entry));
+});
+
+// Deletes an entry and its files
+function removeLibraryEntry(id) {
+  const result = library.remove(id);
+  // The queue's record would otherwise point at a file that is gone
+  if (result.ok && queue.get(id)) queue.remove(id);
+  return result;
+}
+
+app.delete('/api/library/:id', auth.requireUser, (req, res) => {
+  if (!auth.canAccess(req.user, library.get(req.params.id))) return res.status(404).json({ error: 'Unknown library entry' });
+  const result = removeLibraryEntry(req.params.id);
+  if (!result.ok) return res.status(404).json({ error: result.reason });
+  res.json({ success: true });
+});
+
+// URL of a finished file on the /api/files route
+function fileUrl(id, query = {}) {
+  const params = new URLSearchParams(query).toString();
+  return `/api/files/${encodeURIComponent(id)}${params ? `?${params}` : ''}`;
+}
+
+function libraryEntryPayload(entry) {
+  return {
+    ...entry,
+    downloadUrl: fileUrl(entry.id),
+    previewUrl: fileUrl(entry.id, { inline: 1 }),
+    sidecarUrls: (entry.sidecars || []).map((file, index) => fileUrl(entry.id, { sidecar: index }))
+  };
+}
+
+// Extensions browsers can play in a <video>/<audio> element or show as text
+const PREVIEW_EXTENSIONS = ['mp4', 'm4v', 'webm', 'mov', 'mp3', 'm4a', 'aac', 'opus', 'ogg', 'oga', 'wav', 'flac', 'vtt', 'srt', 'gif', 'webp'];
+
+// The library entry (or finished job) with the given id and the file asked
+// for: the main file, or sidecar number `sidecar`
+function resolveFile(id, sidecar) {
+  const job = queue.get(id);
+  const record = library.get(id) || (job && job.state === STATES.DONE && job.file ? job : null);
+  if (!record) return null;
+
+  const name = sidecar === null ? record.file : (record.sidecars || [])[sidecar];
+  if (!name) return null;
+
+  const filePath = path.resolve(downloadsDir, name);
+  if (!filePath.startsWith(downloadsDir + path.sep)) return null;
+  return { record, name, path: filePath };
+}
+
+// Finished files by job or library id. Supports Range requests, ETag and
+// Last-Modified (via res.sendFile); ?inline=1 lets the browser play the file
+// and ?sidecar=<n> serves a subtitle file. Signed links (?expires=&sig=)
+// work without signing in.
+app.get('/api/files/:id', (req, res) => {
+  const signed = req.query.sig !== undefined;
+  if (signed && !links.verify(req.params.id, req.query.expires, req.query.sig)) {
+    return res.status(403).json({ error: 'This link is invalid or has expired' });
+  }
+  if (!signed && auth.enabled && !req.user) return res.status(401).json({ error: 'Authentication required' });
+
+  const sidecar = req.query.sidecar === undefined ? null : Number(req.query.sidecar);
+  if (sidecar !== null && !Number.isInteger(sidecar)) return res.status(400).json({ error: 'sidecar must be a number' });
+
+  const file = resolveFile(req.params.id, sidecar);
+  if (!file || (!signed && !auth.canAccess(req.user, file.record))) return res.status(404).json({ error: 'File not found' });
+  if (!fs.existsSync(file.path)) return res.status(410).json({ error: 'The file is no longer on the server' });
+
+  if (library.get(req.params.id)) library.touch(req.params.id);
+
+  const ext = path.extname(file.name).slice(1).toLowerCase();
+  const inline = req.query.inline === '1' && PREVIEW_EXTENSIONS.includes(ext);
+  const headers = {
+    'Content-Disposition': contentDisposition(path.basename(file.name), inline ? 'inline' : 'attachment'),
+    'Cache-Control': 'private, no-cache',
+    'X-Content-Type-Options': 'nosniff'
+  };
+  // Subtitles shown inline are plain text, never a page
+  if (['vtt', 'srt'].includes(ext)) headers['Content-Type'] = ext === 'vtt' ? 'text/vtt; charset=utf-8' : 'text/plain; charset=utf-8';
+  if (inline) headers['Content-Security-Policy'] = "sandbox; default-src 'none'";
+
+  res.sendFile(file.path, { headers, cacheControl: false, dotfiles: 'allow' }, (err) => {
+    if (err && !res.headersSent) res.status(err.status || 500).end();
+  });
+});
+
+// Creates a share link: { "expiresInSeconds" } (default and maximum from
+// config.links). The link only opens this entry's files.
+app.post('/api/files/:id/link', auth.requireUser, (req, res) => {
+  const file = resolveFile(req.params.id, null);
+  if (!file || !auth.canAccess(req.user, file.record)) return res.status(404).json({ error: 'File not found' });
+
+  let ttlMs = config.links.defaultTtlMs;
+  if (req.body.expiresInSeconds !== undefined) {
+    ttlMs = Number(req.body.expiresInSeconds) * 1000;
+    if (!Number.isFinite(ttlMs) || ttlMs <= 0) return res.status(400).json({ error: 'expiresInSeconds must be a positive number' });
+  }
+  ttlMs = Math.min(ttlMs, config.links.maxTtlMs);
+
+  const { expires, sig } = links.sign(req.params.id, ttlMs);
+  const linkPath = fileUrl(req.params.id, { expires, sig });
+  res.json({
+    url: `${req.protocol}://${req.get('host')}${linkPath}`,
+    path: linkPath,
+    previewPath: fileUrl(req.params.id, { inline: 1, expires, sig }),
+    expiresAt: new Date(expires * 1000).toISOString()
+  });
+});
+
+// Thumbnail URLs tried before giving up on cover art
+const MAX_THUMBNAIL_ATTEMPTS = 3;
+
+// embedMetadata: downloads the best thumbnail of `metadata.thumbnails` that
+// works, then attaches it as cover art and writes `metadata.tags` and
+// `metadata.chapters` (see lib/metadata.js). `metadata.squareCover` crops
+// the cover of audio files to a square.
 const embedMetadata = async (filePath, metadata) => {
   const tempPath = path.join(downloadsDir, `meta_temp_${path.basename(filePath)}`);
   let thumbPath = null;
+  let metaFilePath = null;
 
-  // helper to download thumbnail
+  // helper to download thumbnail. The URL comes from the site's info JSON,
+  // so private and loopback addresses are refused, redirects included.
   async function downloadToFile(url, dest) {
-    const response = await axios.get(url, { responseType: 'stream', timeout: 15000 });
+    const problem = checkPublicUrl(url);
+    if (problem) throw new Error(problem);
+    const response = await axios.get(url, {
+      responseType: 'stream',
+      timeout: config.timeouts.thumbnailMs,
+      ...publicRequestOptions()
+    });
     await pipeline(response.data, fs.createWriteStream(dest));
   }
 
   try {
-    // Only fetch thumbnail if it's a URL
-    if (metadata && metadata.thumbnail && /^https?:\/\//i.test(metadata.thumbnail)) {
-      thumbPath = path.join(downloadsDir, `thumb_${uuidv4()}.jpg`);
+    const ext = path.extname(filePath).slice(1).toLowerCase();
+    const isAudio = Object.values(AUDIO_CODECS).some(codec => codec.ext === ext);
+
+    // Thumbnails are only ever fetched over http(s), never read from a local
+    // path. Sites often serve WebP, which MP4 and MP3 covers can't be, so
+    // each one goes through ffmpeg first; on failure the next best is tried.
+    const thumbnails = ((metadata && metadata.thumbnails) || []).slice(0, MAX_THUMBNAIL_ATTEMPTS);
+    for (const url of thumbnails) {
+      const sourcePath = path.join(downloadsDir, `thumb_${uuidv4()}.source`);
       try {
-        await downloadToFile(metadata.thumbnail, thumbPath);
-      } catch (dlErr) {
-        console.warn('Thumbnail download failed, continuing without cover:', dlErr.message);
-        thumbPath = null;
+        await downloadToFile(url, sourcePath);
+        thumbPath = await normalizeThumbnail(ffmpegPath, sourcePath, { square: isAudio && metadata.squareCover === true });
+        break;
+      } catch (thumbErr) {
+        console.warn(`Thumbnail ${url} failed:`, thumbErr.message);
+      } finally {
+        fs.rmSync(sourcePath, { force: true });
       }
-    } else if (metadata && metadata.thumbnail && fs.existsSync(metadata.thumbnail)) {
-      // If thumbnail is already a local file path
-      thumbPath = metadata.thumbnail;
     }
+    if (thumbnails.length && !thumbPath) console.warn('No usable thumbnail, continuing without cover');
 
-    // Build ffmpeg args
-    let args;
-    if (thumbPath) {
-      // Use two inputs: 0 = original, 1 = thumbnail
-      args = [
-        '-i', filePath,
-        '-i', thumbPath,
-        '-map', '0',
-        '-map', '1',
-        '-c', 'copy',
-        '-metadata', `title=${metadata.title || ''}`,
-        '-metadata', `artist=${metadata.artist || ''}`,
-        '-metadata', `comment=Downloaded with ULTRA Downloader`,
-        '-disposition:v:1', 'attached_pic',
-        tempPath
-      ];
-    } else {
+    // Build ffmpeg args. Video files keep every stream and get the cover as
+    // an extra attached picture; audio files get tags and cover art in the
+    // flavour their container understands (ID3v2, MP4 covr, FLAC picture).
+    // Every input has to come before the output options
+    const inputs = [filePath];
+    const args = [];
+
+    if (!thumbPath) {
       // No thumbnail — just write metadata
-      args = [
-        '-i', filePath,
-        '-c', 'copy',
-        '-metadata', `title=${metadata.title || ''}`,
-        '-metadata', `artist=${metadata.artist || ''}`,
-        '-metadata', `comment=Downloaded with ULTRA Downloader`,
-        tempPath
-      ];
+      args.push('-map', '0');
+    } else if (!isAudio) {
+      inputs.push(thumbPath);
+      args.push('-map', '0', '-map', '1', '-disposition:v:1', 'attached_pic');
+    } else if (ext === 'opus') {
+      // Ogg can't hold a picture stream, so the cover becomes a Vorbis
+      // METADATA_BLOCK_PICTURE comment in the ffmetadata file below
+      args.push('-map', '0:a');
+    } else {
+      inputs.push(thumbPath);
+      args.push('-map', '0:a', '-map', '1', '-disposition:v:0', 'attached_pic');
+      if (ext === 'mp3') args.push('-metadata:s:v', 'title=Album cover', '-metadata:s:v', 'comment=Cover (front)');
+    }
+
+    args.push('-c', 'copy');
+
+    // Tags and chapters come from an ffmetadata file, which replaces the
+    // global tags of the download. The Opus cover is a global tag too, so it
+    // has to come before the [CHAPTER] sections.
+    const tags = { ...(metadata.tags || {}) };
+    if (thumbPath && ext === 'opus') {
+      tags.METADATA_BLOCK_PICTURE = flacPictureBlock(fs.readFileSync(thumbPath)).toString('base64');
     }
+    const metadataText = ffmetadata(tags, metadata.chapters || []);
+    metaFilePath = path.join(downloadsDir, `meta_temp_${path.basename(filePath)}.txt`);
+    fs.writeFileSync(metaFilePath, metadataText);
+    args.push('-map_metadata', String(inputs.length), '-map_chapters', String(inputs.length));
+    inputs.push(metaFilePath);
+
+    // Soft subtitle tracks, converted to the container's subtitle codec
+    const subtitles = !isAudio ? (metadata.subtitles || []) : [];
+    subtitles.forEach((subtitle, index) => {
+      args.push('-map', `${inputs.length}:s`, `-metadata:s:s:${index}`, `language=${subtitle.lang}`);
+      inputs.push(subtitle.path);
+    });
+    if (subtitles.length) args.push('-c:s', SUBTITLE_CODECS[ext] || 'srt');
+
+    if (ext === 'mp3') args.push('-id3v2_version', '3', '-write_id3v1', '1');
+
+    args.push(tempPath);
+    args.unshift(...inputs.flatMap(input => ['-i', input]));
 
     // Run ffmpeg and capture stderr (for debugging)
     await new Promise((resolve, reject) => {
@@ -240,8 +944,6 @@ const embedMetadata = async (filePath, metadata) => {
           try {
             // replace original file with temp
             fs.renameSync(tempPath, filePath);
-            // cleanup thumbnail (only if we created it)
-            if (thumbPath && thumbPath.includes('thumb_') && fs.existsSync(thumbPath)) fs.unlinkSync(thumbPath);
           } catch (e) {
             console.warn('embedMetadata: cleanup or rename error:', e);
           }
@@ -257,116 +959,550 @@ const embedMetadata = async (filePath, metadata) => {
   } catch (err) {
     // rethrow so caller knows embedding failed
     throw err;
+  } finally {
+    // The cover and the ffmetadata file are only needed while ffmpeg runs,
+    // success or not
+    if (thumbPath) fs.rmSync(thumbPath, { force: true });
+    if (metaFilePath) fs.rmSync(metaFilePath, { force: true });
   }
 };
 
-// Download endpoint with metadata embedding
-app.post('/api/download', async (req, res) => {
-  const { url, videoItag, audioItag } = req.body;
-  if (!url) return res.status(400).json({ error: 'Missing URL' });
+// FLAC/Vorbis picture block (front cover) for METADATA_BLOCK_PICTURE comments
+function flacPictureBlock(image) {
+  const isPng = image.slice(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+  const mime = Buffer.from(isPng ? 'image/png' : 'image/jpeg');
+  const uint32 = (value) => {
+    const buf = Buffer.alloc(4);
+    buf.writeUInt32BE(value);
+    return buf;
+  };
+
+  return Buffer.concat([
+    uint32(3), // picture type: front cover
+    uint32(mime.length), mime,
+    uint32(0), // empty description
+    uint32(0), uint32(0), uint32(0), uint32(0), // width, height, depth, colors: unknown
+    uint32(image.length), image
+  ]);
+}
 
-  const id = uuidv4();
+// Post-processing presets a download can ask for with `postprocess`
+app.get('/api/presets', auth.requireUser, (req, res) => {
+  res.json({ presets: listPresets() });
+});
+
+// Validates and queues a download for this request's user; shared by
+// POST /api/download and /api/v1/jobs. Resolves with { existing } (the
+// same file is in the library), { job, joined: true } (a job is already
+// producing it) or { job }. Refusals are thrown as coded errors
+// (lib/apiErrors.js) or limit errors.
+async function queueDownload(req, body) {
+  const { url, title } = body;
+  const urlProblem = checkUrl(url, config.urls);
+  if (urlProblem) throw apiError('UNSUPPORTED_URL', urlProblem);
+
+  const { options, error } = validateDownloadOptions(body);
+  if (error) throw apiError('VALIDATION_FAILED', error);
+
+  const { clips, error: clipError } = parseClipRanges(body);
+  if (clipError) throw apiError('VALIDATION_FAILED', clipError);
+  if (clips.length) options.clips = clips;
+
+  const { subtitles, error: subtitleError } = parseSubtitleOptions(body, options);
+  if (subtitleError) throw apiError('VALIDATION_FAILED', subtitleError);
+  if (subtitles) options.subtitles = subtitles;
+  if (body.infoJson === true) options.infoJson = true;
+  if (body.squareCover === true && options.mode === 'audio') options.squareCover = true;
+
+  const { presets, error: presetError } = parsePresetOptions(body, options);
+  if (presetError) throw apiError('VALIDATION_FAILED', presetError);
+  if (presets.length) options.postprocess = presets;
+
+  // Usually cached by the /api/info call the user just made
+  const ownerId = auth.ownerOf(req.user);
+  let info = null;
+  let infoError = null;
+  try {
+    info = await lookupInfo(url, ownerId);
+  } catch (err) {
+    // A refused lookup is the client's to retry, not a reason to skip the checks
+    if (err.limit) throw err;
+    // The download would fail the same way
+    const failure = toolError(err.message, { usedCookies: !!cookieFile(url, ownerId) });
+    if (failure.reason) throw Object.assign(failure, { details: err.message });
+    infoError = err;
+    console.warn('Video info lookup failed, queueing without it:', err.message);
+  }
+
+  if (info) {
+    const extractorProblem = checkExtractor(info, config.urls);
+    if (extractorProblem) throw apiError('UNSUPPORTED_URL', extractorProblem);
+    const problem = mediaLimitProblem(info, options);
+    if (problem) throw apiError('MEDIA_TOO_LARGE', problem, { limit: 'media' });
+  }
+
+  // Pro Mode picks the container and may copy audio as-is, so specific
+  // itags are checked against the video's formats before queueing
+  if (options.proMode && (options.videoItag || options.audioItag)) {
+    if (!info) {
+      throw Object.assign(toolError(infoError.message), { message: 'Failed to get video info', details: infoError.message });
+    }
+    const problem = checkFormatCompatibility(info, options);
+    if (problem) throw apiError('FORMAT_UNAVAILABLE', problem);
+  }
+
+  // The same video with the same options: hand out the stored file, or
+  // follow the job that is already producing it. `force` downloads anyway.
+  // With auth enabled only the user's own files and jobs are reused.
+  const dedupeKey = downloadKey(url, info, options);
+  if (body.force !== true) {
+    const scope = auth.enabled ? ownerId : undefined;
+    const existing = library.findByKey(dedupeKey, scope);
+    if (existing) return { existing };
+
+    const running = queue.findActive(dedupeKey, scope);
+    if (running) return { job: running, joined: true };
+  }
+
+  const diskProblem = retention.checkFreeSpace();
+  if (diskProblem) throw apiError('INSUFFICIENT_STORAGE', diskProblem, { limit: 'disk' });
+
+  const key = quotaKey(req);
+  if (key) quotas.check(key, { estimatedBytes: info ? estimateFilesize(info, options) || 0 : 0 });
+
+  const job = queue.add({ url, title, options, dedupeKey, ownerId, quotaKey: key });
+  if (key) quotas.addDownloads(key);
+  // Pin the info the user just looked at
+  if (info) saveJobInfo(job.id, info);
+  return { job };
+}
+
+// Queues several playlist entries at once as separate jobs sharing a batch
+// id; shared by POST /api/download/batch and /api/v1/jobs/batch. Resolves
+// with { batchId, jobs }; refusals are thrown like queueDownload's.
+function queueBatch(req, body) {
+  const { entries, quality = 'best', title } = body;
+  if (!Array.isArray(entries) || entries.length === 0) throw apiError('VALIDATION_FAILED', 'No entries selected');
+  if (!QUALITY_RULES[quality]) throw apiError('VALIDATION_FAILED', `Unknown quality rule: ${quality}`);
+  if (entries.some(entry => !entry || !entry.url)) throw apiError('VALIDATION_FAILED', 'Every entry needs a URL');
+  for (const [index, entry] of entries.entries()) {
+    const urlProblem = checkUrl(entry.url, config.urls);
+    if (urlProblem) throw apiError('UNSUPPORTED_URL', `Entry ${index + 1}: ${urlProblem}`);
+  }
+
+  const { presets, error: presetError } = parsePresetOptions(body, { mode: 'video' });
+  if (presetError) throw apiError('VALIDATION_FAILED', presetError);
+
+  const diskProblem = retention.checkFreeSpace();
+  if (diskProblem) throw apiError('INSUFFICIENT_STORAGE', diskProblem, { limit: 'disk' });
+
+  // Durations and sizes of the entries are checked when each job starts
+  const key = quotaKey(req);
+  if (key) quotas.check(key, { count: entries.length });
+
+  const batchId = uuidv4();
+  const jobs = entries.map((entry, index) => queue.add({
+    url: entry.url,
+    title: entry.title,
+    batchId,
+    batchTitle: title,
+    ownerId: auth.ownerOf(req.user),
+    quotaKey: key,
+    options: {
+      mode: 'video',
+      quality,
+      container: 'mp4',
+      bitrate: 'medium',
+      retries: DEFAULT_RETRIES,
+      playlistIndex: parseInt(entry.index, 10) || index + 1,
+      ...(body.infoJson === true ? { infoJson: true } : {}),
+      ...(presets.length ? { postprocess: presets } : {})
+    }
+  }));
+
+  if (key) quotas.addDownloads(key, jobs.length);
+  return { batchId, jobs };
+}
+
+// Download endpoint with metadata embedding. Responds right away; progress
+// and the final file are reported on the job's channel.
+app.post('/api/download', auth.requireUser, rateLimit, async (req, res) => {
+  try {
+    const result = await queueDownload(req, req.body);
+    if (result.existing) return res.json({ existing: libraryEntryPayload(result.existing) });
+    res.json({ jobId: result.job.id, job: result.job, ...(result.joined ? { joined: true } : {}) });
+  } catch (err) {
+    sendLegacyError(res, err);
+  }
+});
+
+app.post('/api/download/batch', auth.requireUser, rateLimit, (req, res) => {
+  try {
+    const { batchId, jobs } = queueBatch(req, req.body);
+    res.json({ batchId, jobIds: jobs.map(job => job.id) });
+  } catch (err) {
+    sendLegacyError(res, err);
+  }
+});
+
+// Versioned API for scripts. Request bodies and query strings are checked
+// against the JSON schemas of lib/openapi.js, which also make up the
+// OpenAPI document at /api/v1/openapi.json, and every error is
+// { error: { code, message } } with a code from lib/apiErrors.js. The work
+// is shared with the /api routes above, which keep their old shapes.
+const v1 = express.Router();
+const openApi = openApiDocument({ version: require('./package.json').version });
+
+// Checks req.body (or the query string) against a request schema
+function validated(schemaName, source = 'body') {
+  const schema = requests[schemaName];
+  return (req, res, next) => {
+    const value = source === 'query' ? coerceQuery(schema, req.query) : (req.body || {});
+    const errors = validate(schema, value, source);
+    if (errors.length) {
+      return next(apiError('VALIDATION_FAILED', `${errors[0].path} ${errors[0].message}`, { errors }));
+    }
+    if (source === 'query') req.validQuery = value;
+    next();
+  };
+}
+
+// Async handlers hand their rejections to the error handler
+function route(handler) {
+  return (req, res, next) => Promise.resolve(handler(req, res, next)).catch(next);
+}
+
+function requireUserV1(req, res, next) {
+  next(auth.enabled && !req.user ? apiError('UNAUTHENTICATED') : null);
+}
+
+function rateLimitV1(req, res, next) {
+  next(rateLimitError(req, res));
+}
+
+// The job if this user may see it; NOT_FOUND otherwise, as with /api/jobs
+function ownJobV1(req) {
+  const job = queue.get(req.params.id);
+  if (!job || !auth.canAccess(req.user, job)) throw apiError('NOT_FOUND', 'Unknown job');
+  return job;
+}
+
+// A job without the queue's internal keys, with the file's URL once done
+// and the reason of a failure as a coded error
+function jobPayloadV1(job) {
+  const { dedupeKey, quotaKey, error, details, ...fields } = job;
+  let failure = null;
+  if (job.state === STATES.FAILED) {
+    const classified = toolError(details || error, { fallback: 'DOWNLOAD_FAILED' });
+    // The job's own message says more for these than the code's default
+    if (['DOWNLOAD_FAILED', 'MEDIA_TOO_LARGE'].includes(classified.code) && error) classified.message = error;
+    failure = errorBody(classified).error;
+  }
+  return {
+    ...fields,
+    phase: job.phase || null,
+    stats: job.stats || null,
+    sidecars: job.sidecars || [],
+    downloadUrl: job.state === STATES.DONE && job.file ? fileUrl(job.id) : null,
+    error: failure
+  };
+}
+
+function libraryEntryPayloadV1(entry) {
+  const { dedupeKey, ...payload } = libraryEntryPayload(entry);
+  return payload;
+}
+
+function jobActionError(id, result) {
+  return queue.get(id) ? apiError('INVALID_STATE', result.reason) : apiError('NOT_FOUND', result.reason);
+}
+
+v1.get('/openapi.json', (req, res) => {
+  res.json(openApi);
+});
+
+v1.get('/health', route(async (req, res) => {
+  const { ok, body } = await healthReport(req);
+  res.status(ok ? 200 : 503).json(body);
+}));
+
+v1.use(requireUserV1);
+
+v1.post('/info', rateLimitV1, validated('InfoRequest'), route(async (req, res) => {
+  const ownerId = auth.ownerOf(req.user);
+  try {
+    res.json(await infoPayload(req.body.url, ownerId, req.body));
+  } catch (err) {
+    if (err.status) throw err;
+    console.error('yt-dlp error:', err.message);
+    throw toolError(err.message, { usedCookies: !!cookieFile(req.body.url, ownerId) });
+  }
+}));
+
+v1.get('/presets', (req, res) => {
+  res.json({ presets: listPresets() });
+});
+
+v1.get('/jobs', validated('JobsQuery', 'query'), (req, res) => {
+  const ownerId = ownerFilter(req.user);
+  let jobList = queue.list().filter(job => ownerId === undefined || job.ownerId === ownerId);
+  if (req.validQuery.batch) jobList = jobList.filter(job => job.batchId === req.validQuery.batch);
+  res.json({ jobs: jobList.map(jobPayloadV1), concurrency: MAX_CONCURRENT_DOWNLOADS });
+});
+
+v1.post('/jobs', rateLimitV1, validated('DownloadRequest'), route(async (req, res) => {
+  const result = await queueDownload(req, req.body);
+  if (result.existing) return res.json({ entry: libraryEntryPayloadV1(result.existing) });
+  if (result.joined) return res.json({ job: jobPayloadV1(result.job), joined: true });
+  res.status(202).json({ job: jobPayloadV1(result.job) });
+}));
+
+v1.post('/jobs/batch', rateLimitV1, validated('BatchRequest'), (req, res) => {
+  const { batchId, jobs } = queueBatch(req, req.body);
+  res.status(202).json({ batchId, jobs: jobs.map(jobPayloadV1) });
+});
+
+v1.delete('/jobs', (req, res) => {
+  const ownerId = ownerFilter(req.user);
+  res.json({ removed: queue.clearFinished(job => ownerId === undefined || job.ownerId === ownerId) });
+});
+
+v1.get('/jobs/:id', (req, res) => {
+  res.json(jobPayloadV1(ownJobV1(req)));
+});
+
+v1.delete('/jobs/:id', (req, res) => {
+  ownJobV1(req);
+  const result = queue.remove(req.params.id);
+  if (!result.ok) throw jobActionError(req.params.id, result);
+  res.status(204).end();
+});
+
+['cancel', 'pause', 'resume'].forEach(action => {
+  v1.post(`/jobs/:id/${action}`, (req, res) => {
+    ownJobV1(req);
+    const result = queue[action](req.params.id);
+    if (!result.ok) throw jobActionError(req.params.id, result);
+    res.json(jobPayloadV1(result.job));
+  });
+});
+
+v1.get('/jobs/:id/events', (req, res) => {
+  ownJobV1(req);
+  streamJobProgress(req, res, req.params.id);
+});
+
+v1.get('/library', validated('LibraryQuery', 'query'), (req, res) => {
+  const result = library.list({ ...req.validQuery, ownerId: ownerFilter(req.user) });
+  res.json({ entries: result.entries.map(libraryEntryPayloadV1), total: result.total });
+});
+
+v1.get('/library/:id', (req, res) => {
+  const entry = library.get(req.params.id);
+  if (!entry || !auth.canAccess(req.user, entry)) throw apiError('NOT_FOUND', 'Unknown library entry');
+  res.json(libraryEntryPayloadV1(entry));
+});
+
+v1.delete('/library/:id', (req, res) => {
+  const entry = library.get(req.params.id);
+  if (!entry || !auth.canAccess(req.user, entry)) throw apiError('NOT_FOUND', 'Unknown library entry');
+  const result = removeLibraryEntry(req.params.id);
+  if (!result.ok) throw apiError('NOT_FOUND', result.reason);
+  res.status(204).end();
+});
+
+v1.use((req, res, next) => {
+  next(apiError('NOT_FOUND', `No such endpoint: ${req.method} ${req.baseUrl}${req.path}`));
+});
+
+app.use('/api/v1', v1);
+
+// Also catches body parser errors (malformed JSON), which happen before
+// the router runs
+app.use('/api/v1', (err, req, res, next) => {
+  const apiErr = toApiError(err);
+  if (apiErr.code === 'INTERNAL_ERROR') console.error(`${req.method} ${req.originalUrl} failed:`, err);
+  if (apiErr.retryAfter) res.set('Retry-After', String(apiErr.retryAfter));
+  if (res.headersSent) return res.end();
+  res.status(apiErr.status).json(errorBody(apiErr));
+});
+
+// Queue runner: downloads, merges and tags a single job
+async function runDownload(job, ctx) {
+  const { url } = job;
+  const id = job.id;
+  const format = buildFormatArgs(job.options);
   const baseOutput = path.join(downloadsDir, id);
-  const finalFilePath = `${baseOutput}.mp4`;
+  // Presets that change the container change these after the download
+  let outputExt = format.ext;
+  let fileName = `${id}.${outputExt}`;
+  let finalFilePath = path.join(downloadsDir, fileName);
 
-  const ffmpegDir = os.platform() === 'win32'
+  // Without a known ffmpeg yt-dlp falls back to its own lookup
+  const ffmpegDir = !tools.ffmpeg.path ? null : (os.platform() === 'win32'
     ? path.dirname(ffmpegPath).replace(/\\/g, '/')
-    : path.dirname(ffmpegPath);
+    : path.dirname(ffmpegPath));
+
+  // Clip ranges are fetched with yt-dlp's section downloading; if that
+  // fails the whole video is downloaded and cut with ffmpeg instead
+  const clips = job.options.clips || [];
+  const subtitles = job.options.subtitles || null;
+  let useSections = clips.length > 0;
+
+  // Download from the job's info JSON rather than letting yt-dlp extract the
+  // page again. Its stream URLs expire after a few hours, so a failed
+  // attempt falls back to the URL.
+  let info = null;
+  try {
+    info = await loadJobInfo(job);
+  } catch (err) {
+    console.warn(`No info JSON for job ${id}, downloading from the URL:`, err.message);
+  }
+  // Playlist entries are only checked here, once their info is known
+  const limitProblem = info && (checkExtractor(info, config.urls) || mediaLimitProblem(info, job.options));
+  if (limitProblem) throw new Error(limitProblem);
+  let useInfoJson = !!info;
+  // Picked once so every attempt signs in the same way
+  const cookies = cookieFile(url, job.ownerId);
+  const sectionFilePattern = new RegExp(`^${id}\\.(\\d+)\\.${format.ext}$`);
 
   // Build arguments
-  let args = [
-    '--no-warnings',
-    '--ignore-errors',
-    '--no-check-certificates',
-    '--console-title',
-    '--newline',
-    '--progress',
-    '--ffmpeg-location', ffmpegDir,
-    '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
-    '--no-playlist',
-    '-o', `${baseOutput}.%(ext)s`,
-    url
-  ];
-
-  if (videoItag && audioItag) {
-    args.push('-f', `${videoItag}+${audioItag}`);
-  } else if (videoItag) {
-    args.push('-f', `${videoItag}`);
-  } else {
-    args.push('-f', 'bestvideo+bestaudio');
-  }
+  const buildArgs = () => {
+    const outputTemplate = useSections && clips.length > 1
+      ? `${baseOutput}.%(section_number)s.%(ext)s`
+      : `${baseOutput}.%(ext)s`;
 
-  args.push('--merge-output-format', 'mp4', '--postprocessor-args', '-c:v copy -c:a aac -b:a 192k');
+    let args = [
+      '--no-warnings',
+      '--ignore-errors',
+      '--no-check-certificates',
+      '--console-title',
+      '--newline',
+      '--progress',
+      ...progressArgs(),
+      '--continue',
+      ...(ffmpegDir ? ['--ffmpeg-location', ffmpegDir] : []),
+      '--user-agent', 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/125.0.0.0 Safari/537.36',
+      '--no-playlist',
+      ...(cookies ? ['--cookies', cookies] : []),
+      ...(config.limits.maxFilesizeBytes ? ['--max-filesize', String(config.limits.maxFilesizeBytes)] : []),
+      '-o', outputTemplate,
+      ...(useInfoJson ? ['--load-info-json', jobInfoPath(id)] : [])
+    ];
 
-  const filteredArgs = args.filter(arg => arg !== undefined && arg !== null && String(arg).trim() !== '');
+    args.push(...format.args);
+    if (useSections) args.push(...sectionArgs(clips));
+    if (subtitles) args.push(...subtitleArgs(subtitles));
+    // The URL goes last, after "--", so it can never be read as an option
+    if (!useInfoJson) args.push('--', url);
 
-  console.log('Starting download with args:', filteredArgs);
+    return args.filter(arg => arg !== undefined && arg !== null && String(arg).trim() !== '');
+  };
+
+  // Section files of a multi-range download, in section order
+  const sectionFiles = () => fs.readdirSync(downloadsDir)
+    .filter(file => sectionFilePattern.test(file))
+    .sort((a, b) => parseInt(a.match(sectionFilePattern)[1], 10) - parseInt(b.match(sectionFilePattern)[1], 10))
+    .map(file => path.join(downloadsDir, file));
+
+  const outputCreated = () => (useSections && clips.length > 1
+    ? sectionFiles().length > 0
+    : fs.existsSync(finalFilePath));
 
   // Retry mechanism
-  const maxRetries = 3;
+  const maxRetries = job.options.retries || DEFAULT_RETRIES;
   let retryCount = 0;
   let downloadSuccess = false;
 
   const attemptDownload = () => {
     return new Promise((resolve, reject) => {
-      const proc = spawn('yt-dlp', filteredArgs, {
+      const filteredArgs = buildArgs();
+      console.log('Starting download with args:', filteredArgs);
+
+      const proc = spawn(ytDlpPath, filteredArgs, {
         stdio: ['ignore', 'pipe', 'pipe']
       });
 
-      // Progress regex
-      const progressRegex = /(\d+(?:\.\d+)?)%/;
-
-      proc.stdout.on('data', (chunk) => {
-        const text = chunk.toString();
-        console.log('[yt-dlp stdout]', text.trim());
-
-        const progressMatch = text.match(progressRegex);
-        if (progressMatch) {
-          const progress = parseFloat(progressMatch[1]);
-          progressEmitter.emit('progress', { progress });
+      // Pause/cancel: stop yt-dlp; its .part files stay until the queue decides
+      const onAbort = () => {
+        try { proc.kill(); } catch (e) { /* ignore */ }
+      };
+      ctx.signal.addEventListener('abort', onAbort, { once: true });
+
+      const tracker = createProgressTracker();
+      // Set when yt-dlp skipped the file for --max-filesize
+      let skippedLine = null;
+
+      onLines(proc.stdout, (line) => {
+        const patch = tracker.parse(line);
+        if (patch) {
+          const downloading = ['video', 'audio', 'subtitles'].includes(patch.phase);
+          ctx.update({ ...patch, state: downloading ? STATES.RUNNING : STATES.MERGING });
+          return;
         }
 
-        if (text.includes('Destination:') || text.includes('[download] Destination:')) {
-          progressEmitter.emit('progress', { status: 'Downloading...' });
+        console.log('[yt-dlp stdout]', line);
+        if (filesizeProblem(line, config.limits)) skippedLine = line;
+
+        // Fallbacks for yt-dlp builds that ignore postprocess templates
+        if (line.startsWith('[Merger]')) {
+          ctx.update({ state: STATES.MERGING, phase: 'merge', status: PHASE_STATUS.merge, progress: POSTPROCESS_PROGRESS });
         }
 
-        if (text.includes('100%')) {
-          progressEmitter.emit('progress', { progress: 100, status: 'Finalizing...' });
+        if (line.startsWith('[ExtractAudio]')) {
+          ctx.update({ state: STATES.MERGING, phase: 'convert', status: PHASE_STATUS.convert, progress: POSTPROCESS_PROGRESS });
         }
       });
 
-      proc.stderr.on('data', (chunk) => {
-        const text = chunk.toString();
-        console.error('[yt-dlp stderr]', text.trim());
-
-        const progressMatch = text.match(progressRegex);
-        if (progressMatch) {
-          const progress = parseFloat(progressMatch[1]);
-          progressEmitter.emit('progress', { progress });
-        }
+      // The last lines tell why yt-dlp failed
+      const errorLines = [];
+      onLines(proc.stderr, (line) => {
+        console.error('[yt-dlp stderr]', line);
+        errorLines.push(line);
+        if (errorLines.length > 20) errorLines.shift();
       });
 
       const killTimeout = setTimeout(() => {
         try { proc.kill(); } catch (e) { /* ignore */ }
-        progressEmitter.emit('progress', { error: 'Download timed out' });
         reject(new Error('Download timed out'));
-      }, 1000 * 60 * 15); // 15 minutes
+      }, config.timeouts.downloadMs);
 
       proc.on('close', (code) => {
         clearTimeout(killTimeout);
+        ctx.signal.removeEventListener('abort', onAbort);
         console.log(`Download process closed with code ${code}`);
 
+        if (ctx.signal.aborted) {
+          reject(new Error(`Download ${ctx.signal.reason === 'pause' ? 'paused' : 'cancelled'}`));
+          return;
+        }
+
+        // Attempt failures are reported as status only; the retry loop decides
+        // when the job has failed for good.
         if (code !== 0) {
-          progressEmitter.emit('progress', {
-            error: 'Download failed',
-            details: `Exit code: ${code}`
-          });
+          // Retrying won't help a video that needs an account or is geo-blocked
+          const problem = accessProblem(errorLines.join('\n'), { usedCookies: !!cookies });
+          if (problem) {
+            const err = new Error(problem.message);
+            err.details = errorLines.join('\n');
+            err.permanent = true;
+            reject(err);
+            return;
+          }
           reject(new Error(`Download failed with code ${code}`));
           return;
         }
 
-        if (!fs.existsSync(finalFilePath)) {
-          progressEmitter.emit('progress', { error: 'File not created' });
+        // Retrying won't make it smaller
+        if (skippedLine) {
+          const err = new Error(filesizeProblem(skippedLine, config.limits));
+          err.details = skippedLine;
+          err.permanent = true;
+          reject(err);
+          return;
+        }
+
+        if (!outputCreated()) {
           reject(new Error('File not created'));
           return;
         }
@@ -376,8 +1512,8 @@ app.post('/api/download', async (req, res) => {
 
       proc.on('error', (err) => {
         clearTimeout(killTimeout);
+        ctx.signal.removeEventListener('abort', onAbort);
         console.error('Download process error:', err);
-        progressEmitter.emit('progress', { error: 'Failed to start download' });
         reject(err);
       });
     });
@@ -388,43 +1524,174 @@ app.post('/api/download', async (req, res) => {
       await attemptDownload();
       downloadSuccess = true;
     } catch (err) {
+      if (ctx.signal.aborted || err.permanent) throw err;
+
       retryCount++;
       console.error(`Download attempt ${retryCount} failed:`, err.message);
-      progressEmitter.emit('progress', { 
-        status: `Retrying download... (${retryCount}/${maxRetries})`,
-        progress: 0
-      });
+
+      // Drop one shortcut per failed attempt: the saved info JSON first
+      // (its stream URLs may have expired), then section downloading
+      if (useInfoJson && retryCount < maxRetries) {
+        console.warn('Download from saved info JSON failed, falling back to the URL');
+        useInfoJson = false;
+      } else if (useSections && retryCount < maxRetries) {
+        console.warn('Section download failed, falling back to a full download + ffmpeg trim');
+        useSections = false;
+      }
       
       if (retryCount < maxRetries) {
+        ctx.update({
+          state: STATES.RUNNING,
+          status: `Retrying download... (${retryCount}/${maxRetries})`,
+          progress: 0,
+          phase: null,
+          stats: null
+        });
         await new Promise(resolve => setTimeout(resolve, 3000));
+        if (ctx.signal.aborted) throw new Error('Download aborted');
       } else {
-        return res.status(500).json({ error: 'Download failed after retries', details: err.message });
+        const failure = new Error('Download failed after retries');
+        failure.details = err.message;
+        throw failure;
       }
     }
   }
 
+  if (ctx.signal.aborted) throw new Error('Download aborted');
+
+  if (clips.length > 0) {
+    ctx.update({
+      state: STATES.MERGING,
+      phase: 'postprocess',
+      status: clips.length > 1 ? 'Joining clips...' : 'Cutting clip...',
+      progress: POSTPROCESS_PROGRESS,
+      stats: null
+    });
+    if (useSections && clips.length > 1) {
+      const parts = sectionFiles();
+      await concatFiles(ffmpegPath, parts, finalFilePath);
+      parts.forEach(part => fs.rmSync(part, { force: true }));
+    } else if (!useSections) {
+      await trimToClips(ffmpegPath, finalFilePath, clips);
+    }
+  }
+
+  const subtitleFiles = subtitles ? findSubtitleFiles(downloadsDir, id) : [];
+  if (subtitles && subtitles.mode === 'burn' && subtitleFiles.length) {
+    ctx.update({ state: STATES.MERGING, phase: 'postprocess', status: 'Burning in subtitles...', progress: POSTPROCESS_PROGRESS, stats: null });
+    await burnSubtitles(ffmpegPath, finalFilePath, subtitleFiles[0].path, format.ext);
+  }
+
+  // Post-processing presets: one ffmpeg pass each, reporting progress
+  // from ffmpeg's -progress output. Every pass has its own 0-100% bar.
+  const presets = job.options.postprocess || [];
+  const presetSidecars = [];
+  const mediaDuration = clips.length
+    ? clipsDuration(clips, info && info.duration)
+    : (info && info.duration) || null;
+  for (const [index, name] of presets.entries()) {
+    if (ctx.signal.aborted) throw new Error('Download aborted');
+    const label = PRESETS[name].label;
+    const status = presets.length > 1 ? `${label} (${index + 1}/${presets.length})...` : `${label}...`;
+    ctx.update({ state: STATES.PROCESSING, phase: 'preset', status, progress: 0, stats: null });
+
+    const result = await runPreset(ffmpegPath, name, finalFilePath, {
+      durationSeconds: mediaDuration,
+      signal: ctx.signal,
+      onProgress: ({ percent, stats }) => ctx.update({
+        state: STATES.PROCESSING,
+        phase: 'preset',
+        status,
+        ...(percent !== null ? { progress: percent } : {}),
+        stats
+      })
+    });
+    if (result.sidecar) {
+      presetSidecars.push(result.file);
+    } else {
+      fileName = result.file;
+      finalFilePath = path.join(downloadsDir, fileName);
+      outputExt = path.extname(fileName).slice(1);
+    }
+  }
+
+  let videoInfo = null;
   try {
     // Embed metadata
-    const videoInfo = await new Promise((resolve, reject) => {
-      // We need to refetch the video info for metadata
-      fetchVideoInfo(url)
-        .then(info => resolve(info))
-        .catch(err => reject(err));
-    });
+    ctx.update({ state: STATES.EMBEDDING, phase: 'metadata', status: PHASE_STATUS.metadata, progress: METADATA_PROGRESS, stats: null });
+    if (!info) info = await lookupInfo(url, job.ownerId);
+    videoInfo = videoMetadata(info);
 
     await embedMetadata(finalFilePath, {
-      title: videoInfo.title,
-      artist: videoInfo.uploader,
-      thumbnail: videoInfo.thumbnail
+      tags: fileTags(info, { url, ext: outputExt, clipText: clips.length ? describeClips(clips) : '' }),
+      chapters: fileChapters(info, clips),
+      thumbnails: thumbnailCandidates(info),
+      squareCover: job.options.squareCover === true,
+      subtitles: subtitles && subtitles.mode === 'embed' ? subtitleFiles : []
     });
   } catch (metaErr) {
     console.warn('Metadata embedding failed:', metaErr);
   }
 
+  // Subtitle sidecar files are delivered next to the main file
+  const sidecars = subtitles && subtitles.mode === 'sidecar'
+    ? subtitleFiles.map(subtitle => path.basename(subtitle.path))
+    : [];
+  sidecars.push(...presetSidecars);
+
+  // So is the info JSON when asked for, making the file self-describing
+  if (job.options.infoJson && info) {
+    const infoJsonName = `${id}.info.json`;
+    fs.writeFileSync(path.join(downloadsDir, infoJsonName), archiveInfo(info));
+    sidecars.push(infoJsonName);
+  }
+
   // Clean up temporary files
+  removeJobFiles(id, [fileName, ...sidecars]);
+
+  // Give the file its human-readable name
+  const outputPath = renderTemplate(config.outputTemplate, templateValues(info, job, outputExt));
+  const output = applyOutputName(downloadsDir, fileName, sidecars, outputPath);
+
+  const size = fs.statSync(path.join(downloadsDir, output.file)).size;
+  if (job.quotaKey) quotas.addBytes(job.quotaKey, size);
+
+  library.add({
+    id,
+    file: output.file,
+    sidecars: output.sidecars,
+    url,
+    title: videoInfo ? videoInfo.title : job.title,
+    uploader: videoInfo ? videoInfo.uploader : null,
+    channel: videoInfo ? videoInfo.channel : null,
+    uploadDate: videoInfo ? videoInfo.uploadDate : null,
+    extractor: videoInfo ? videoInfo.extractor : null,
+    videoId: videoInfo ? videoInfo.videoId : null,
+    thumbnail: videoInfo ? videoInfo.thumbnail : null,
+    mode: job.options.mode,
+    dedupeKey: job.dedupeKey,
+    ownerId: job.ownerId,
+    size,
+    durationSeconds: clips.length
+      ? clipsDuration(clips, videoInfo && videoInfo.duration)
+      : (videoInfo ? videoInfo.duration : null)
+  });
+  // Make room under the size limit, never at the cost of this download
+  retention.enforce({ keep: [id] });
+
+  return output;
+}
+
+// Removes the files a job left in downloads/: partial streams, .part/.ytdl
+// files, subtitles and metadata temp files, plus its saved info JSON. Files
+// named in `keep` (the finished file and its sidecars) are spared.
+function removeJobFiles(id, keep = []) {
+  fs.rmSync(jobInfoPath(id), { force: true });
+
   const files = fs.readdirSync(downloadsDir);
   files.forEach(file => {
-    if (file.startsWith(id) && !file.endsWith('.mp4')) {
+    if (keep.includes(file)) return;
+    if (file.startsWith(id) || file.startsWith(`meta_temp_${id}`)) {
       try {
         fs.unlinkSync(path.join(downloadsDir, file));
       } catch (cleanupErr) {
@@ -432,23 +1699,38 @@ app.post('/api/download', async (req, res) => {
       }
     }
   });
+}
 
-  progressEmitter.emit('progress', { complete: true, file: `${id}.mp4` });
-  res.json({ success: true, file: `${id}.mp4` });
-});
+// Playlist, channel and user-upload URLs that should be listed rather than resolved
+function isPlaylistUrl(url) {
+  try {
+    const parsed = new URL(url);
+    if (/(^|\.)youtube\.com$/i.test(parsed.hostname)) {
+      if (parsed.pathname === '/playlist') return true;
+      if (/^\/(channel|c|user)\/[^/]+/.test(parsed.pathname)) return true;
+      if (/^\/@[^/]+(\/(videos|shorts|streams|playlists))?\/?$/.test(parsed.pathname)) return true;
+    }
+    return false;
+  } catch (e) {
+    return false;
+  }
+}
 
-// Helper to fetch video info for metadata
-async function fetchVideoInfo(url) {
+// Helper to list playlist/channel entries without resolving every video
+async function fetchPlaylistInfo(url, { cookies = null } = {}) {
   return new Promise((resolve, reject) => {
     const args = [
-      '--dump-json',
+      '--flat-playlist',
+      '--dump-single-json',
       '--no-warnings',
       '--ignore-errors',
       '--no-check-certificates',
+      ...(cookies ? ['--cookies', cookies] : []),
+      '--',
       url
     ];
 
-    const proc = spawn('yt-dlp', args, { stdio: ['ignore', 'pipe', 'pipe'] });
+    const proc = spawn(ytDlpPath, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: config.timeouts.infoMs });
     let data = '';
     let errorOutput = '';
 
@@ -460,6 +1742,8 @@ async function fetchVideoInfo(url) {
       errorOutput += chunk.toString();
     });
 
+    proc.on('error', (err) => reject(err));
+
     proc.on('close', (code) => {
       if (code !== 0) {
         return reject(new Error(errorOutput || `exit code ${code}`));
@@ -467,10 +1751,32 @@ async function fetchVideoInfo(url) {
 
       try {
         const info = JSON.parse(data);
+        const entries = (info.entries || [])
+          .filter(entry => entry && (entry.url || entry.webpage_url || entry.id))
+          .map((entry, index) => {
+            const thumbs = entry.thumbnails || [];
+            return {
+              index: index + 1,
+              id: entry.id,
+              url: entry.webpage_url || entry.url || entry.id,
+              title: entry.title || `Entry ${index + 1}`,
+              duration: formatDuration(entry.duration || 0),
+              durationSeconds: entry.duration || 0,
+              thumbnail: entry.thumbnail || (thumbs.length ? thumbs[thumbs.length - 1].url : '')
+            };
+          });
+
         resolve({
-          title: info.title || 'Untitled Video',
-          uploader: info.uploader || 'Unknown',
-          thumbnail: info.thumbnail || ''
+          type: 'playlist',
+          id: info.id,
+          extractor: info.extractor_key || info.extractor || null,
+          title: info.title || 'Untitled Playlist',
+          uploader: info.uploader || info.channel || 'Unknown',
+          thumbnail: (entries.find(entry => entry.thumbnail) || {}).thumbnail || 'https://via.placeholder.com/800x450',
+          entryCount: entries.length,
+          totalDuration: formatDuration(entries.reduce((sum, entry) => sum + entry.durationSeconds, 0)),
+          qualityRules: Object.keys(QUALITY_RULES),
+          entries
         });
       } catch (parseError) {
         reject(parseError);
@@ -479,6 +1785,63 @@ async function fetchVideoInfo(url) {
   });
 }
 
+// Helper to fetch the raw yt-dlp info JSON of a single video
+async function fetchInfoJson(url, { cookies = null } = {}) {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '--dump-json',
+      '--no-warnings',
+      '--ignore-errors',
+      '--no-check-certificates',
+      '--no-playlist',
+      ...(cookies ? ['--cookies', cookies] : []),
+      '--',
+      url
+    ];
+
+    const proc = spawn(ytDlpPath, args, { stdio: ['ignore', 'pipe', 'pipe'], timeout: config.timeouts.infoMs });
+    let data = '';
+    let errorOutput = '';
+
+    proc.stdout.on('data', (chunk) => {
+      data += chunk.toString();
+    });
+
+    proc.stderr.on('data', (chunk) => {
+      errorOutput += chunk.toString();
+    });
+
+    proc.on('error', (err) => reject(err));
+
+    proc.on('close', (code) => {
+      if (code !== 0) {
+        return reject(new Error(errorOutput || `exit code ${code}`));
+      }
+
+      try {
+        resolve(JSON.parse(data));
+      } catch (parseError) {
+        reject(parseError);
+      }
+    });
+  });
+}
+
+// The parts of the info JSON the library keeps (the file's tags are built
+// by fileTags in lib/metadata.js)
+function videoMetadata(info) {
+  return {
+    title: info.title || 'Untitled Video',
+    uploader: info.uploader || 'Unknown',
+    channel: info.channel || null,
+    uploadDate: formatUploadDate(info.upload_date),
+    extractor: info.extractor_key || info.extractor || null,
+    videoId: info.id || null,
+    thumbnail: info.thumbnail || '',
+    duration: info.duration || null
+  };
+}
+
 // Helper functions
 function formatDuration(seconds) {
   const mins = Math.floor(seconds / 60);
@@ -522,12 +1885,31 @@ function formatDate(dateStr) {
 
 // Serve static files
 app.use(express.static(path.join(__dirname, 'public')));
+
+// Files are served to the owner of their library entry. Anything the library
+// doesn't know (e.g. a job's partial files) is for admins only.
+// Serving a file also marks its entry as recently used for retention.
+app.use('/downloads', auth.requireUser, (req, res, next) => {
+  let name;
+  try {
+    name = decodeURIComponent(req.path).replace(/^\/+/, '');
+  } catch (e) {
+    return res.status(400).json({ error: 'Bad file name' });
+  }
+  const entry = library.findByFile(name);
+  if (auth.enabled && !(entry ? auth.canAccess(req.user, entry) : auth.isAdmin(req.user))) {
+    return res.status(404).json({ error: 'File not found' });
+  }
+  if (entry) library.touch(entry.id);
+  next();
+});
 app.use('/downloads', express.static(downloadsDir, {
   setHeaders: (res, filePath) => {
-    res.set('Content-Disposition', `attachment; filename="${path.basename(filePath)}"`);
+    res.set('Content-Disposition', contentDisposition(path.basename(filePath)));
   }
 }));
 
 app.listen(PORT, () => {
   console.log(`✅ Server running on http://localhost:${PORT}`);
+  queue.start();
 });